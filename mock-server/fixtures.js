@@ -0,0 +1,134 @@
+// Seeded fleet and charging-history fixtures for the mock API.
+// History is generated per car and per day from a hash of both, so any date range
+// returns the same sessions on every run without storing them.
+
+const CHARGING_SITES = [
+  { name: 'בית אדוויס, כפר סבא', lat: 32.16165, lng: 34.93400 },
+  { name: 'קניון G, כפר סבא', lat: 32.16000, lng: 34.93000 },
+  { name: 'חניון עירוני, תל אביב', lat: 32.06300, lng: 34.77200 },
+];
+
+// Places where a session is reported although the car is nowhere near a registered charger
+const FAR_SITES = [
+  { name: 'תחנת טעינה, נתניה', lat: 32.32150, lng: 34.85320 },
+  { name: 'חניון פרטי, הרצליה', lat: 32.16280, lng: 34.84470 },
+];
+
+// `route` is a loop of waypoints the car drives through every `loopSeconds`;
+// a single waypoint means the car is parked. `route: null` simulates a car without GPS.
+// `gpsAccuracy` (metres) and `gpsLagMinutes` describe the reported fix, for the staleness checks.
+const CARS = [
+  {
+    car_number: '1234567', brand: 'Tesla', model: 'Model 3', battery_capacity: 60,
+    route: [{ lat: 32.16165, lng: 34.93400 }],
+    gpsAccuracy: 8, gpsLagMinutes: 1,
+  },
+  {
+    car_number: '2345678', brand: 'Hyundai', model: 'Ioniq 5', battery_capacity: 77,
+    route: [{ lat: 32.16170, lng: 34.93390 }, { lat: 32.16000, lng: 34.93000 }, { lat: 32.15500, lng: 34.92000 }, { lat: 32.16000, lng: 34.93000 }],
+    loopSeconds: 300,
+    gpsAccuracy: 15, gpsLagMinutes: 0,
+  },
+  {
+    car_number: '3456789', brand: 'BYD', model: 'Atto 3', battery_capacity: 60,
+    route: [{ lat: 32.06310, lng: 34.77190 }, { lat: 32.07000, lng: 34.78000 }, { lat: 32.08000, lng: 34.79000 }],
+    loopSeconds: 600,
+    gpsAccuracy: 250, gpsLagMinutes: 2, // coarse, cell-tower fix
+  },
+  {
+    car_number: '4567890', brand: 'Kia', model: 'EV6', battery_capacity: 77,
+    route: [{ lat: 32.32150, lng: 34.85320 }],
+    gpsAccuracy: 10, gpsLagMinutes: 95, // last fix is from before the tracker went quiet
+  },
+  {
+    car_number: '5678901', brand: 'Skoda', model: 'Enyaq', battery_capacity: 77,
+    route: [{ lat: 32.16000, lng: 34.93030 }, { lat: 32.16165, lng: 34.93400 }],
+    loopSeconds: 180,
+    gpsAccuracy: 40, gpsLagMinutes: 0,
+  },
+  {
+    car_number: '6789012', brand: 'MG', model: 'ZS EV', battery_capacity: 51,
+    route: null,
+  },
+];
+
+// Deterministic 32-bit PRNG (mulberry32) seeded from a string
+const seededRandom = (seedText) => {
+  let seed = 0;
+  for (let i = 0; i < seedText.length; i++) seed = Math.imul(31, seed) + seedText.charCodeAt(i) | 0;
+  return () => {
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+};
+
+const distanceInMeters = (a, b) => {
+  const R = 6371e3;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatDateTime = (date) => `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+const nearestSite = (point) => CHARGING_SITES
+  .map(site => ({ site, distance: distanceInMeters(point, site) }))
+  .sort((a, b) => a.distance - b.distance)[0];
+
+// 0-2 sessions on a given day. Roughly one in eight is away from every charger
+// and one in twenty is priced far above the usual tariff, for the audit screens.
+const sessionsForDay = (car, day) => {
+  const random = seededRandom(`${car.car_number}:${day.toDateString()}`);
+  const count = Math.floor(random() * 3);
+  const sessions = [];
+  let hour = 6 + Math.floor(random() * 4);
+
+  for (let i = 0; i < count; i++) {
+    const isFar = random() < 0.125;
+    const site = isFar ? FAR_SITES[Math.floor(random() * FAR_SITES.length)] : CHARGING_SITES[Math.floor(random() * CHARGING_SITES.length)];
+    const jitter = isFar ? 0 : 0.0003;
+    const point = { lat: site.lat + (random() - 0.5) * jitter, lng: site.lng + (random() - 0.5) * jitter };
+
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, Math.floor(random() * 60));
+    const minutes = 20 + Math.floor(random() * 160);
+    const end = new Date(start.getTime() + minutes * 60000);
+    hour = Math.min(end.getHours() + 2 + Math.floor(random() * 4), 22);
+
+    const percentsStart = 10 + Math.floor(random() * 50);
+    const percentsEnd = Math.min(100, percentsStart + 10 + Math.floor(random() * 50));
+    const totalKw = (car.battery_capacity * (percentsEnd - percentsStart)) / 100 * (0.95 + random() * 0.1);
+    const tariff = random() < 0.05 ? 5 + random() * 2 : 1.8 + random() * 0.6;
+
+    sessions.push({
+      datetime_start: formatDateTime(start),
+      datetime_end: formatDateTime(end),
+      duration: `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`,
+      percents_start: percentsStart,
+      percents_end: percentsEnd,
+      total_percents: percentsEnd - percentsStart,
+      total_kw: Number(totalKw.toFixed(2)),
+      total_price: Number((totalKw * tariff).toFixed(2)),
+      location_name: site.name,
+      distance: Math.round(nearestSite(point).distance),
+      lat: Number(point.lat.toFixed(6)),
+      lng: Number(point.lng.toFixed(6)),
+    });
+  }
+  return sessions;
+};
+
+// `from` and `to` are Date objects (inclusive, by day)
+const chargingHistory = (car, from, to) => {
+  const sessions = [];
+  for (let day = new Date(from.getFullYear(), from.getMonth(), from.getDate()); day <= to; day.setDate(day.getDate() + 1)) {
+    sessions.push(...sessionsForDay(car, day));
+  }
+  return sessions;
+};
+
+module.exports = { CARS, chargingHistory, formatDateTime };
@@ -0,0 +1,192 @@
+// Local stand-in for the fleet BI API (https://nx-api.info/api/bi/external), for offline
+// development and manual testing. Implements /cars/list, /cars/info and /reports/cars/charging
+// with the same { success, data } envelope, backed by the seeded fixtures in ./fixtures.
+//
+//   npm run mock-api                 start the server (port 4010)
+//   npm run start:mock               start the app against it, and log in with the token "mock-token"
+//
+// Environment:
+//   MOCK_PORT       port to listen on (default 4010)
+//   MOCK_TOKEN      expected Authorization header (default "mock-token")
+//   MOCK_DELAY_MS   latency added to every API response (default 0)
+//   MOCK_SCENARIO   path to a JSON scenario file (see scenarios/): { "routes": { "<car_number>": { "route": [{ "lat", "lng" }], "loopSeconds" } },
+//                   "failures": [<failure rule>] }
+//
+// Control endpoints (no auth) for scripting a session:
+//   GET    /__mock/state                          current positions and pending failures
+//   POST   /__mock/failures                       queue a failure rule: { "status": 401 | 500, "delayMs", "path", "times" }
+//   DELETE /__mock/failures                       clear queued failures
+//   POST   /__mock/cars/<car_number>/position     pin a car: { "lat", "lng" }, or { "route", "loopSeconds" } to give it a new route
+//   DELETE /__mock/cars/<car_number>/position     back to its fixture route
+//
+// A failure rule applies to requests whose path starts with `path` (all API paths when omitted),
+// `times` times (once when omitted, every request when 0). `delayMs` alone makes a slow response.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { CARS, chargingHistory, formatDateTime } = require('./fixtures');
+
+const PORT = Number(process.env.MOCK_PORT) || 4010;
+const TOKEN = process.env.MOCK_TOKEN || 'mock-token';
+const BASE_DELAY_MS = Number(process.env.MOCK_DELAY_MS) || 0;
+const startedAt = Date.now();
+
+const routes = new Map(CARS.map(car => [car.car_number, { route: car.route, loopSeconds: car.loopSeconds }]));
+let failures = [];
+
+if (process.env.MOCK_SCENARIO) {
+  const scenario = JSON.parse(fs.readFileSync(path.resolve(process.env.MOCK_SCENARIO), 'utf8'));
+  Object.entries(scenario.routes || {}).forEach(([carNumber, movement]) => routes.set(carNumber, movement));
+  failures = scenario.failures || [];
+}
+
+// Position along the car's route loop, with equal time spent on every leg
+const currentPosition = (carNumber) => {
+  const { route, loopSeconds = 300 } = routes.get(carNumber) || {};
+  if (!route || route.length === 0) return { lat: null, lng: null };
+  if (route.length === 1) return route[0];
+
+  const progress = (((Date.now() - startedAt) / 1000) % loopSeconds) / loopSeconds * route.length;
+  const leg = Math.floor(progress);
+  const from = route[leg];
+  const to = route[(leg + 1) % route.length];
+  const t = progress - leg;
+  return {
+    lat: Number((from.lat + (to.lat - from.lat) * t).toFixed(6)),
+    lng: Number((from.lng + (to.lng - from.lng) * t).toFixed(6)),
+  };
+};
+
+const carInfo = (car) => {
+  const { route, loopSeconds, gpsAccuracy, gpsLagMinutes = 0, ...details } = car;
+  const position = currentPosition(car.car_number);
+  if (position.lat == null) return { ...details, ...position };
+  return {
+    ...details,
+    ...position,
+    gps_time: formatDateTime(new Date(Date.now() - gpsLagMinutes * 60000)),
+    gps_accuracy: gpsAccuracy,
+  };
+};
+
+// "DD/MM/YYYY" -> Date, as sent by the app
+const parseApiDate = (value) => {
+  const match = String(value || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const send = (res, status, payload) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+// Takes the first queued failure rule matching the path, consuming one of its uses
+const takeFailure = (pathname) => {
+  const rule = failures.find(f => !f.path || pathname.startsWith(f.path));
+  if (!rule) return null;
+  if (rule.times !== 0) {
+    rule.times = (rule.times || 1) - 1;
+    if (rule.times === 0) failures = failures.filter(f => f !== rule);
+  }
+  return rule;
+};
+
+const apiHandlers = {
+  'GET /cars/list': () => CARS.map(car => car.car_number),
+
+  'POST /cars/info': (body) => {
+    const carNumbers = Array.isArray(body.car_numbers) ? body.car_numbers.map(String) : [];
+    return CARS.filter(car => carNumbers.includes(car.car_number)).map(carInfo);
+  },
+
+  'POST /reports/cars/charging': (body) => {
+    const from = parseApiDate(body.date_from);
+    const to = parseApiDate(body.date_to);
+    if (!from || !to) return null;
+    const carNumbers = Array.isArray(body.car_numbers) ? body.car_numbers.map(String) : [];
+    return carNumbers.map(carNumber => {
+      const car = CARS.find(c => c.car_number === carNumber);
+      return car ? chargingHistory(car, from, to) : [];
+    });
+  },
+};
+
+const handleControl = async (req, res, pathname) => {
+  if (req.method === 'GET' && pathname === '/__mock/state') {
+    return send(res, 200, { positions: CARS.map(carInfo), failures });
+  }
+  if (pathname === '/__mock/failures') {
+    if (req.method === 'POST') {
+      failures.push(await readBody(req));
+      return send(res, 200, { failures });
+    }
+    if (req.method === 'DELETE') {
+      failures = [];
+      return send(res, 200, { failures });
+    }
+  }
+  const match = pathname.match(/^\/__mock\/cars\/([^/]+)\/position$/);
+  if (match && routes.has(match[1])) {
+    const carNumber = match[1];
+    if (req.method === 'POST') {
+      const body = await readBody(req);
+      routes.set(carNumber, Array.isArray(body.route) ? body : { route: [{ lat: Number(body.lat), lng: Number(body.lng) }] });
+    } else if (req.method === 'DELETE') {
+      const car = CARS.find(c => c.car_number === carNumber);
+      routes.set(carNumber, { route: car.route, loopSeconds: car.loopSeconds });
+    }
+    return send(res, 200, carInfo(CARS.find(c => c.car_number === carNumber)));
+  }
+  return send(res, 404, { error: 'Unknown control endpoint' });
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  try {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (pathname.startsWith('/__mock/')) return await handleControl(req, res, pathname);
+
+    const handler = apiHandlers[`${req.method} ${pathname}`];
+    if (!handler) return send(res, 404, { success: false, message: 'Not found' });
+
+    const failure = takeFailure(pathname);
+    const delay = BASE_DELAY_MS + (failure?.delayMs || 0);
+    if (delay > 0) await sleep(delay);
+    console.log(`${req.method} ${pathname}${failure ? ` (injected ${failure.status || 'delay'})` : ''}`);
+
+    if (failure?.status) return send(res, failure.status, { success: false, message: `Injected ${failure.status}` });
+    if (req.headers.authorization !== TOKEN) return send(res, 401, { success: false, message: 'Unauthorized' });
+
+    const data = handler(req.method === 'POST' ? await readBody(req) : {});
+    if (data === null) return send(res, 200, { success: false, message: 'Invalid request' });
+    return send(res, 200, { success: true, data });
+  } catch (error) {
+    console.error(error);
+    return send(res, 400, { success: false, message: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock fleet API listening on http://localhost:${PORT} (token: ${TOKEN})`);
+});
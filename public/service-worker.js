@@ -0,0 +1,92 @@
+// Service worker for read-only offline use: keeps the app shell (index.html, the built bundles and
+// the Tailwind CDN script) so the app still opens without a connection. API data is not cached
+// here; the app keeps its own copy in IndexedDB (src/offlineCache.js).
+
+const CACHE_NAME = 'dalkan-shell-v1';
+const CDN_ORIGINS = ['https://cdn.tailwindcss.com'];
+
+// The app may be served from a sub-path (PUBLIC_URL), which is the scope the worker is registered under
+const scopedUrl = (path) => new URL(path, self.registration.scope).href;
+const INDEX_URL = scopedUrl('index.html');
+const STATIC_PATH = new URL(scopedUrl('static/')).pathname;
+
+// The build's asset-manifest.json lists the hashed bundles of the current release, relative to the scope
+const precacheShell = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.add(INDEX_URL);
+  try {
+    const manifest = await (await fetch(scopedUrl('asset-manifest.json'), { cache: 'no-store' })).json();
+    await cache.addAll(manifest.entrypoints.map(path => scopedUrl(path.replace(/^\//, ''))));
+  } catch (error) {
+    // Without the manifest the bundles are cached the first time they are requested instead
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, falling back to the cache - for pages, so a new release is picked up when online
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Cache first, storing whatever is fetched - for hashed bundles, which never change under one URL
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+};
+
+// Served from the cache at once and refreshed in the background - for the CDN script
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(error => {
+      if (!cached) throw error;
+      return cached;
+    });
+  return cached || refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') {
+      // Every route is rendered by index.html
+      event.respondWith(networkFirst(request, INDEX_URL));
+    } else if (url.pathname.startsWith(STATIC_PATH)) {
+      event.respondWith(cacheFirst(request));
+    }
+  } else if (CDN_ORIGINS.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
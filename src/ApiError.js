@@ -0,0 +1,10 @@
+import React from 'react';
+
+const ApiError = ({ message }) => (
+    <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md" role="alert">
+        <p className="font-bold">שגיאת API</p>
+        <p>{message}</p>
+    </div>
+);
+
+export default ApiError;
@@ -1,177 +1,362 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { ChevronDown, MapPin, Car, BatteryCharging, CheckCircle, XCircle, Clock, FileDown, ArrowLeft, Calendar as CalendarIcon, AlertTriangle } from 'lucide-react';
-import { Wrapper, Status } from '@googlemaps/react-wrapper';
-
-// --- API Configuration ---
-const API_BASE_URL = 'https://nx-api.info/api/bi/external';
-const API_TOKEN = process.env.REACT_APP_API_TOKEN;
-const GOOGLE_MAPS_API_KEY = process.env.REACT_APP_GOOGLE_MAPS_API_KEY;
-
-// Mocked data for chargers, as there is no API endpoint for it.
-const MOCKED_CHARGERS = [
-    { id: "C001", name: "בית אדוויס", location_geo: { lat: 32.16165, lng: 34.93400 }, address: "עתיר ידע 16, כפר סבא" },
-    { id: "C002", name: "קניון G", location_geo: { lat: 32.16000, lng: 34.93000 }, address: "התע\"ש 22, כפר סבא" },
-    { id: "C003", name: "חניון עירוני", location_geo: { lat: 32.06300, lng: 34.77200 }, address: "דרך מנחם בגין 1, תל אביב" },
-];
-
-// Helper function to calculate distance between two lat/lng points in meters
-const getDistanceInMeters = (lat1, lon1, lat2, lon2) => {
-  if (lat1 === null || lon1 === null || lat2 === null || lon2 === null) return Infinity;
-  const R = 6371e3; // metres
-  const φ1 = lat1 * Math.PI/180;
-  const φ2 = lat2 * Math.PI/180;
-  const Δφ = (lat2-lat1) * Math.PI/180;
-  const Δλ = (lon2-lon1) * Math.PI/180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c; // in metres
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ChevronDown, Car, BatteryCharging, CheckCircle, XCircle, Clock, AlertTriangle, Settings, Radar, Play, Pause, ScrollText, FileText, FileDown, LogOut, Map as MapIcon, HelpCircle, FileCheck, WifiOff, ShieldCheck, RotateCcw, ClipboardList } from 'lucide-react';
+import { Routes, Route, Navigate, useNavigate, useLocation, useSearchParams, useMatch } from 'react-router-dom';
+import ChargerManager from './ChargerManager';
+import FleetCheck from './FleetCheck';
+import EventLog from './EventLog';
+import HistoryScreen from './HistoryScreen';
+import FleetReport from './FleetReport';
+import CarPicker from './CarPicker';
+import FleetMap from './FleetMap';
+import ReconciliationScreen from './ReconciliationScreen';
+import PolicyEditor from './PolicyEditor';
+import CheckHistory from './CheckHistory';
+import { loadGeofenceEvents, saveGeofenceEvents, loadGeofenceState, saveGeofenceState, detectTransitions } from './geofenceLog';
+import { loadChargers, saveChargers, MIN_RADIUS, MAX_RADIUS } from './chargerStore';
+import { evaluateGeofence, hasPolygon, GEOFENCE_RULE_LABELS } from './geo';
+import { MAP_PROVIDERS, getAvailableMapProviders, loadMapProvider, saveMapProvider } from './mapProviders';
+import ApiError from './ApiError';
+import { listCars, getCarsInfo, describeApiError } from './api';
+import { loadSession, clearSession, onSessionExpired } from './session';
+import LoginScreen from './LoginScreen';
+import usePolling from './usePolling';
+import useOnlineStatus from './useOnlineStatus';
+import DataFreshness from './DataFreshness';
+import { loadWithCache, clearCache, CACHE_KEYS } from './offlineCache';
+import { downloadProximityCertificate } from './proximityCertificate';
+import { toIsoDate, isIsoDate } from './dates';
+import { loadPositionThresholds, savePositionThresholds, INCONCLUSIVE_REASONS } from './positionFix';
+import { loadCheckAudit, saveCheckAudit, createAuditEntry, capAuditEntries } from './checkAudit';
+import { loadPolicy, savePolicy, resolveRadius, evaluatePolicy, POLICY_RULE_LABELS, RADIUS_SOURCE_LABELS } from './verificationPolicy';
+
+// Live tracking settings
+const LIVE_INTERVAL_OPTIONS = [10, 30, 60, 120]; // seconds
+const MAX_TRAIL_POINTS = 50;
+
+// Main Application Component - shows the login screen until a dispatcher is signed in
+export default function App() {
+  const [session, setSession] = useState(loadSession);
+  const [loginNotice, setLoginNotice] = useState(null);
+
+  // Any 401 from the API clears the session and lands back here; the cached fleet data goes with it, as on logout
+  useEffect(() => onSessionExpired(() => {
+    clearCache();
+    setSession(null);
+    setLoginNotice('פג תוקף ההתחברות. אנא התחבר מחדש.');
+  }), []);
+
+  const handleLogin = (newSession) => {
+    setLoginNotice(null);
+    setSession(newSession);
+  };
+
+  const handleLogout = () => {
+    clearSession();
+    clearCache();
+    setSession(null);
+  };
+
+  if (!session) return <LoginScreen notice={loginNotice} onLogin={handleLogin} />;
+
+  // Keyed by token so a new login starts from a clean slate
+  return <Simulator key={session.token} session={session} onLogout={handleLogout} />;
 }
 
-// Main Application Component
-export default function App() {
-  const [currentPage, setCurrentPage] = useState('dashboard'); // 'dashboard' or 'history'
+// Simulator Component - the signed-in application.
+// The page and the car/charger/radius selection live in the URL, so links, refresh and back/forward restore them:
+//   /?car=&charger=&radius=                     dashboard (radius only when set by hand; otherwise the policy decides)
+//   /cars/:carNumber/history?from=&to=          charging history (dates as YYYY-MM-DD)
+//   /chargers, /policy, /fleet, /fleet-map, /fleet-report, /events, /checks   the other screens, carrying the same selection
+const Simulator = ({ session, onLogout }) => {
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+  const [searchParams] = useSearchParams();
+  const historyMatch = useMatch('/cars/:carNumber/history');
   const [cars, setCars] = useState([]);
-  const [chargers, setChargers] = useState([]);
-  const [selectedCar, setSelectedCar] = useState(null);
-  const [selectedCharger, setSelectedCharger] = useState(null);
-  const [radius, setRadius] = useState(50);
-  const [checkResult, setCheckResult] = useState(null); // { status: 'approved'/'denied'/'error', distance: number }
+  const [carsFreshness, setCarsFreshness] = useState({ updatedAt: null, isRefreshing: false, refreshFailed: false });
+  const [chargers, setChargers] = useState(loadChargers);
+  const [checkResult, setCheckResult] = useState(null); // { status: 'approved'/'denied'/'inconclusive'/'error', distance: number }
   const [carDetails, setCarDetails] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isChecking, setIsChecking] = useState(false);
   const [apiError, setApiError] = useState(null);
+  const [isLive, setIsLive] = useState(false);
+  const [liveInterval, setLiveInterval] = useState(30); // seconds
+  const [trail, setTrail] = useState([]); // recent car positions: [{ lat, lng, timestamp }]
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [geofenceEvents, setGeofenceEvents] = useState(loadGeofenceEvents);
+  const [positionThresholds, setPositionThresholds] = useState(loadPositionThresholds);
+  const [policy, setPolicy] = useState(loadPolicy);
+  const [checkAudit, setCheckAudit] = useState(loadCheckAudit);
+  const geofenceStateRef = useRef(loadGeofenceState());
+  const isOnline = useOnlineStatus();
+
+  const selectedCarNumber = historyMatch ? historyMatch.params.carNumber : searchParams.get('car');
+  const selectedChargerId = searchParams.get('charger');
+  const selectedCar = useMemo(() => cars.find(c => c.car_number === selectedCarNumber) || null, [cars, selectedCarNumber]);
+  const selectedCharger = useMemo(() => chargers.find(c => c.id === selectedChargerId) || null, [chargers, selectedChargerId]);
+  // A hand-edited ?radius= outside the range the radius field allows is ignored, not trusted
+  const radiusParam = Number(searchParams.get('radius'));
+  const manualRadius = radiusParam >= MIN_RADIUS && radiusParam <= MAX_RADIUS ? radiusParam : null;
+  const policyRadius = resolveRadius(policy, selectedCarNumber, selectedCharger);
+  const radius = manualRadius || policyRadius.radius;
+  const radiusSource = manualRadius ? 'manual' : policyRadius.source;
+
+  // The history page can be opened from a link before the car list loads, or for a car missing from it
+  const historyCar = useMemo(() => (historyMatch ? selectedCar || { car_number: historyMatch.params.carNumber } : null), [historyMatch, selectedCar]);
+  const fromParam = searchParams.get('from');
+  const toParam = searchParams.get('to');
+  // Missing or malformed dates in the link fall back to the last year
+  const historyRange = useMemo(() => ({
+    from: isIsoDate(fromParam) ? fromParam : toIsoDate(new Date(new Date().setFullYear(new Date().getFullYear() - 1))),
+    to: isIsoDate(toParam) ? toParam : toIsoDate(new Date()),
+  }), [fromParam, toParam]);
+
+  // Navigates while carrying the car, charger and radius selection along in the query string.
+  // `changes` overrides individual parameters; null drops one.
+  const goTo = (path, changes = {}, { replace = false } = {}) => {
+    const context = { car: selectedCarNumber, charger: selectedChargerId, radius: searchParams.get('radius'), ...changes };
+    const params = new URLSearchParams();
+    Object.entries(context).forEach(([key, value]) => {
+      if (value != null && value !== '') params.set(key, value);
+    });
+    const search = params.toString();
+    navigate({ pathname: path, search: search ? `?${search}` : '' }, { replace });
+  };
 
-  // Load cars when component mounts
+  // Leaving a page stops live tracking, and a different car starts from a clean check
   useEffect(() => {
-    if (!API_TOKEN) {
-      setApiError('לא נמצא טוקן API. אנא הגדר את REACT_APP_API_TOKEN במשתני הסביבה.');
-      return;
-    }
+    setIsLive(false);
+  }, [pathname]);
+
+  // Live tracking needs the network; it is restarted by hand once back online
+  useEffect(() => {
+    if (!isOnline) setIsLive(false);
+  }, [isOnline]);
+
+  useEffect(() => {
+    setCarDetails(null);
+    setCheckResult(null);
+    setTrail([]);
+    setLastUpdated(null);
+  }, [selectedCarNumber, pathname]);
+
+  useEffect(() => {
+    setCheckResult(null);
+  }, [selectedChargerId]);
+
+  useEffect(() => {
+    saveGeofenceEvents(geofenceEvents);
+  }, [geofenceEvents]);
 
+  useEffect(() => {
+    saveCheckAudit(checkAudit);
+  }, [checkAudit]);
+
+  // The radius the policy applies to a car at a charger, for the fleet screens and geofence tracking
+  const radiusFor = useCallback((carNumber, charger) => resolveRadius(policy, carNumber, charger).radius, [policy]);
+
+  // Feeds fresh car positions into geofence tracking and logs any enter/exit transitions,
+  // returning the new events. Each car is tracked against the radius its policy gives it.
+  // Called from async loops, so it must only rely on refs and state updaters.
+  const recordPositions = useCallback((carInfos) => {
+    const { state, events } = detectTransitions(geofenceStateRef.current, carInfos, chargers, radiusFor);
+    geofenceStateRef.current = state;
+    saveGeofenceState(state);
+    if (events.length > 0) setGeofenceEvents(prev => [...prev, ...events]);
+    return events;
+  }, [chargers, radiusFor]);
+  // The fleet is loaded once, but its positions are tracked against the chargers and policy of the moment
+  const recordPositionsRef = useRef(recordPositions);
+  recordPositionsRef.current = recordPositions;
+
+  // Load cars when component mounts - the cached fleet shows at once and is refreshed behind it
+  useEffect(() => {
     const fetchCars = async () => {
         setIsLoading(true);
         setApiError(null);
+        setCarsFreshness(prev => ({ ...prev, isRefreshing: true }));
+        let refreshFailed = false;
         try {
-            const listResponse = await fetch(`${API_BASE_URL}/cars/list`, {
-                headers: { 'Authorization': API_TOKEN }
+            const fetchFleet = async () => {
+                const carNumbers = await listCars();
+                return carNumbers.length === 0 ? [] : getCarsInfo(carNumbers);
+            };
+            const { error } = await loadWithCache(CACHE_KEYS.cars, fetchFleet, (carInfos, { updatedAt, fromCache }) => {
+                setCars(carInfos);
+                setCarsFreshness(prev => ({ ...prev, updatedAt }));
+                setIsLoading(false);
+                // Cached positions are old and would log made-up geofence transitions
+                if (!fromCache) recordPositionsRef.current(carInfos);
             });
-            if (!listResponse.ok) {
-                if(listResponse.status === 401) throw new Error('טוקן API אינו חוקי או שפג תוקפו.');
-                throw new Error(`שגיאת רשת בטעינת רשימת הרכבים! סטטוס: ${listResponse.status}`);
-            }
-            const listData = await listResponse.json();
-
-            if (listData.success && Array.isArray(listData.data)) {
-                const carNumbers = listData.data;
-                if (carNumbers.length === 0) {
-                    setCars([]);
-                    return;
-                }
-                
-                const infoResponse = await fetch(`${API_BASE_URL}/cars/info`, {
-                    method: 'POST',
-                    headers: { 'Authorization': API_TOKEN, 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ car_numbers: carNumbers })
-                });
-                if (!infoResponse.ok) throw new Error(`שגיאת רשת בטעינת פרטי הרכבים! סטטוס: ${infoResponse.status}`);
-                const infoData = await infoResponse.json();
-
-                if (infoData.success) {
-                    setCars(infoData.data);
-                } else {
-                    throw new Error('ה-API החזיר שגיאה בטעינת פרטי הרכבים.');
-                }
-            } else {
-                throw new Error('פורמט נתונים לא תקין מרשימת הרכבים.');
+            if (error) {
+                console.warn('Showing cached car list, refresh failed:', error);
+                refreshFailed = true;
             }
         } catch (error) {
             console.error('Error fetching car list:', error);
-            setApiError(error.message || 'שגיאה בטעינת רשימת הרכבים. אנא נסה שוב מאוחר יותר.');
+            setApiError(describeApiError(error, 'שגיאה בטעינת רשימת הרכבים.'));
         } finally {
             setIsLoading(false);
+            setCarsFreshness(prev => ({ ...prev, isRefreshing: false, refreshFailed }));
         }
     };
     
     fetchCars();
-    setChargers(MOCKED_CHARGERS);
   }, []);
   
   // Handlers
+  // Used by the dashboard pickers and the fleet map; the selection changes without leaving the page
   const handleCarSelect = (carNumber) => {
-    const car = cars.find(c => c.car_number === carNumber);
-    setSelectedCar(car);
-    setCarDetails(null); 
-    setCheckResult(null); 
+    goTo(pathname, { car: carNumber });
   };
 
+  // A different charger drops any hand-set radius, so the policy's radius applies again
   const handleChargerSelect = (chargerId) => {
-    const charger = chargers.find(c => c.id === chargerId);
-    setSelectedCharger(charger);
-    setCheckResult(null); 
+    goTo(pathname, { charger: chargerId, radius: null });
+  };
+
+  // Slider drags replace the history entry instead of adding one per step; null returns to the policy's radius
+  const handleRadiusChange = (value) => {
+    goTo(pathname, { radius: value }, { replace: true });
+  };
+
+  const handlePositionThresholdsChange = (thresholds) => {
+    setPositionThresholds(thresholds);
+    savePositionThresholds(thresholds);
+  };
+
+  const handlePolicyChange = (updatedPolicy) => {
+    setPolicy(updatedPolicy);
+    savePolicy(updatedPolicy);
+    setCheckResult(null);
   };
 
-  const handleCheck = async () => {
+  const handleChargersChange = (updatedChargers) => {
+    setChargers(updatedChargers);
+    saveChargers(updatedChargers);
+    // The selection follows edits through its id; drop it if the charger was deleted
+    if (selectedCharger) {
+      setCheckResult(null);
+      if (!updatedChargers.some(c => c.id === selectedCharger.id)) goTo(pathname, { charger: null }, { replace: true });
+    }
+  };
+
+  // Fetches the car's current position and evaluates it against the selected charger's policy.
+  // Live tracking runs it silently so the map and result card update in place.
+  const runCheck = async ({ silent = false } = {}) => {
     if (!selectedCar || !selectedCharger) {
         console.warn("Please select a car and a charger.");
         return;
     }
-    setIsChecking(true);
-    setCheckResult(null);
+    if (!silent) {
+        setIsChecking(true);
+        setCheckResult(null);
+    }
     setApiError(null);
 
+    let carInfo = null;
+    let result;
     try {
-        const response = await fetch(`${API_BASE_URL}/cars/info`, {
-            method: 'POST',
-            headers: { 'Authorization': API_TOKEN, 'Content-Type': 'application/json' },
-            body: JSON.stringify({ car_numbers: [selectedCar.car_number] })
-        });
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-
-        if (data.success && data.data.length > 0) {
-            const carInfo = data.data[0];
-            setCarDetails(carInfo);
-
-            if (carInfo.lat != null && carInfo.lng != null && selectedCharger.location_geo) {
-                const distance = getDistanceInMeters(carInfo.lat, carInfo.lng, selectedCharger.location_geo.lat, selectedCharger.location_geo.lng);
-                const result = { status: distance <= radius ? 'approved' : 'denied', distance: Math.round(distance) };
-                setCheckResult(result);
-            } else {
-                setCheckResult({ status: 'error', message: 'לא התקבל מיקום עבור הרכב או המטען.' });
-            }
+        [carInfo] = await getCarsInfo([selectedCar.car_number]);
+        if (!carInfo) throw new Error('No data returned for the selected car.');
+        setCarDetails(carInfo);
+        setLastUpdated(new Date());
+        if (carInfo.lat != null && carInfo.lng != null) appendToTrail(carInfo);
+        const newEvents = recordPositions([carInfo]);
+
+        if (carInfo.lat != null && carInfo.lng != null && selectedCharger.location_geo) {
+            const now = new Date();
+            const { status, distance, rule, accuracy, positionTime, reasons, rules, carGroup } = evaluatePolicy({
+                carInfo,
+                charger: selectedCharger,
+                policy,
+                radius,
+                radiusSource,
+                thresholds: positionThresholds,
+                events: [...geofenceEvents, ...newEvents],
+                now,
+            });
+            // A snapshot of what the decision was made on, so the certificate can't disagree with it
+            result = {
+                status, distance: Math.round(distance), rule, accuracy, positionTime, reasons, rules, carGroup,
+                radius,
+                radiusSource,
+                car: { car_number: selectedCar.car_number, brand: selectedCar.brand, model: selectedCar.model },
+                charger: selectedCharger,
+                position: { lat: carInfo.lat, lng: carInfo.lng },
+                checkedAt: now.toISOString(),
+            };
         } else {
-             throw new Error('API returned success: false or no data for the selected car.');
+            result = { status: 'error', message: 'לא התקבל מיקום עבור הרכב או המטען.', checkedAt: new Date().toISOString() };
         }
     } catch (error) {
         console.error('Error fetching car info:', error);
-        setCheckResult({ status: 'error', message: 'לא ניתן היה לקבל את מיקום הרכב.' });
+        result = { status: 'error', message: describeApiError(error, 'לא ניתן היה לקבל את מיקום הרכב.'), checkedAt: new Date().toISOString() };
     } finally {
-        setIsChecking(false);
+        if (!silent) setIsChecking(false);
     }
+
+    // Every check is logged, failed and live ones included: the trail records what the dispatcher was shown
+    setCheckResult(result);
+    const entry = createAuditEntry({
+        result,
+        user: session.name,
+        car: selectedCar,
+        charger: selectedCharger,
+        carInfo,
+        radius,
+        radiusSource,
+        policyName: policy.name,
+        trigger: silent ? 'live' : 'manual',
+    });
+    setCheckAudit(prev => capAuditEntries([...prev, entry]));
+  };
+
+  const handleCheck = () => runCheck();
+
+  const appendToTrail = (carInfo) => {
+    setTrail(prev => {
+        const last = prev[prev.length - 1];
+        if (last && last.lat === carInfo.lat && last.lng === carInfo.lng) return prev;
+        return [...prev, { lat: carInfo.lat, lng: carInfo.lng, timestamp: Date.now() }].slice(-MAX_TRAIL_POINTS);
+    });
   };
 
+  const isLivePaused = usePolling(() => runCheck({ silent: true }), liveInterval * 1000, isLive && !!selectedCar && !!selectedCharger);
+
   const navigateToHistory = () => {
       if(selectedCar) {
-          setCurrentPage('history');
+          goTo(`/cars/${encodeURIComponent(selectedCar.car_number)}/history`, { car: null });
       } else {
           console.warn("Please select a car to view its history.");
       }
   };
 
-  const navigateToDashboard = () => {
-      setCurrentPage('dashboard');
-      setCheckResult(null);
-      setCarDetails(null);
+  const handleHistoryRangeChange = (range) => {
+      goTo(pathname, { car: null, from: range.from, to: range.to }, { replace: true });
+  };
+
+  const navigateToChargers = () => goTo('/chargers');
+  const navigateToPolicy = () => goTo('/policy');
+  const navigateToEvents = () => goTo('/events');
+  const navigateToChecks = () => goTo('/checks');
+  const navigateToFleetReport = () => goTo('/fleet-report');
+  const navigateToFleet = () => goTo('/fleet');
+  const navigateToFleetMap = () => goTo('/fleet-map');
+  const navigateToReconciliation = () => goTo('/reconciliation');
+
+  // Opens a car from the fleet check on the dashboard, preselecting its nearest charger
+  const handleFleetCarSelect = (carNumber, chargerId) => {
+      goTo('/', chargerId ? { car: carNumber, charger: chargerId, radius: null } : { car: carNumber });
   };
+
+  const navigateToDashboard = () => goTo('/');
   
   // Render logic
   return (
     <div className="bg-gray-50 min-h-screen font-sans text-gray-800" dir="rtl">
-      <Header />
+      <Header dispatcherName={session.name} onLogout={onLogout} />
       <main className="p-4 sm:p-6 md:p-8 max-w-7xl mx-auto">
         {isLoading ? (
             <div className="text-center py-10">
@@ -179,64 +364,180 @@ export default function App() {
             </div>
         ) : (
             <>
-                {apiError && !isLoading && <ApiError message={apiError} />}
-                {currentPage === 'dashboard' && (
-                  <Dashboard
-                    cars={cars}
-                    chargers={chargers}
-                    selectedCar={selectedCar}
-                    selectedCharger={selectedCharger}
-                    radius={radius}
-                    checkResult={checkResult}
-                    carDetails={carDetails}
-                    isChecking={isChecking}
-                    onCarSelect={handleCarSelect}
-                    onChargerSelect={handleChargerSelect}
-                    onRadiusChange={setRadius}
-                    onCheck={handleCheck}
-                    onNavigateToHistory={navigateToHistory}
-                  />
-                )}
-                {currentPage === 'history' && selectedCar && (
-                  <HistoryScreen
-                    car={selectedCar}
-                    onBack={navigateToDashboard}
-                    radius={radius}
-                  />
+                {!isOnline && (
+                  <div className="flex items-center bg-orange-50 border border-orange-200 text-orange-800 p-3 mb-6 rounded-md" role="status">
+                    <WifiOff className="w-5 h-5 ml-2 flex-shrink-0" />
+                    אין חיבור לרשת. מוצגים נתונים שמורים לצפייה בלבד; בדיקות סמיכות ומעקב חי יחזרו עם החיבור.
+                  </div>
                 )}
+                {apiError && !isLoading && <ApiError message={apiError} />}
+                <Routes>
+                  <Route path="/" element={
+                    <Dashboard
+                      cars={cars}
+                      carsFreshness={carsFreshness}
+                      isOnline={isOnline}
+                      chargers={chargers}
+                      selectedCar={selectedCar}
+                      selectedCharger={selectedCharger}
+                      radius={radius}
+                      radiusSource={radiusSource}
+                      carGroup={policyRadius.group}
+                      checkResult={checkResult}
+                      carDetails={carDetails}
+                      isChecking={isChecking}
+                      onCarSelect={handleCarSelect}
+                      onChargerSelect={handleChargerSelect}
+                      onRadiusChange={handleRadiusChange}
+                      positionThresholds={positionThresholds}
+                      onPositionThresholdsChange={handlePositionThresholdsChange}
+                      onCheck={handleCheck}
+                      isLive={isLive}
+                      isLivePaused={isLivePaused}
+                      liveInterval={liveInterval}
+                      lastUpdated={lastUpdated}
+                      trail={trail}
+                      onLiveToggle={() => setIsLive(live => !live)}
+                      onLiveIntervalChange={setLiveInterval}
+                      onNavigateToHistory={navigateToHistory}
+                      onNavigateToChargers={navigateToChargers}
+                      onNavigateToPolicy={navigateToPolicy}
+                      onNavigateToFleet={navigateToFleet}
+                      onNavigateToFleetMap={navigateToFleetMap}
+                      onNavigateToEvents={navigateToEvents}
+                      onNavigateToChecks={navigateToChecks}
+                      onNavigateToFleetReport={navigateToFleetReport}
+                      onNavigateToReconciliation={navigateToReconciliation}
+                    />
+                  } />
+                  <Route path="/cars/:carNumber/history" element={
+                    <HistoryScreen
+                      car={historyCar}
+                      chargers={chargers}
+                      onBack={navigateToDashboard}
+                      radius={radius}
+                      dateRange={historyRange}
+                      onDateRangeChange={handleHistoryRangeChange}
+                    />
+                  } />
+                  <Route path="/chargers" element={
+                    <ChargerManager
+                      chargers={chargers}
+                      onChange={handleChargersChange}
+                      onBack={navigateToDashboard}
+                    />
+                  } />
+                  <Route path="/policy" element={
+                    <PolicyEditor
+                      policy={policy}
+                      chargers={chargers}
+                      cars={cars}
+                      onChange={handlePolicyChange}
+                      onChargersChange={handleChargersChange}
+                      onBack={navigateToDashboard}
+                    />
+                  } />
+                  <Route path="/fleet" element={
+                    <FleetCheck
+                      cars={cars}
+                      chargers={chargers}
+                      radiusFor={radiusFor}
+                      onBack={navigateToDashboard}
+                      onSelectCar={handleFleetCarSelect}
+                      onPositions={recordPositions}
+                    />
+                  } />
+                  <Route path="/fleet-map" element={
+                    <FleetMap
+                      cars={cars}
+                      chargers={chargers}
+                      radiusFor={radiusFor}
+                      selectedCar={selectedCar}
+                      selectedCharger={selectedCharger}
+                      onSelectCar={handleCarSelect}
+                      onSelectCharger={handleChargerSelect}
+                      onOpenDashboard={navigateToDashboard}
+                      onBack={navigateToDashboard}
+                      onPositions={recordPositions}
+                    />
+                  } />
+                  <Route path="/fleet-report" element={
+                    <FleetReport
+                      cars={cars}
+                      onBack={navigateToDashboard}
+                    />
+                  } />
+                  <Route path="/reconciliation" element={
+                    <ReconciliationScreen
+                      cars={cars}
+                      chargers={chargers}
+                      radiusFor={radiusFor}
+                      onBack={navigateToDashboard}
+                    />
+                  } />
+                  <Route path="/events" element={
+                    <EventLog
+                      events={geofenceEvents}
+                      chargers={chargers}
+                      onClear={() => setGeofenceEvents([])}
+                      onBack={navigateToDashboard}
+                    />
+                  } />
+                  <Route path="/checks" element={
+                    <CheckHistory
+                      entries={checkAudit}
+                      onBack={navigateToDashboard}
+                    />
+                  } />
+                  <Route path="*" element={<Navigate to="/" replace />} />
+                </Routes>
             </>
         )}
       </main>
     </div>
   );
-}
+};
 
 // Header Component
-const Header = () => (
+const Header = ({ dispatcherName, onLogout }) => (
   <header className="bg-white shadow-sm">
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
       <div className="flex items-center space-x-4 space-x-reverse">
         <div className="bg-blue-500 text-white font-bold text-2xl rounded-md p-2">A</div>
         <h1 className="text-2xl font-bold text-gray-800">ADVICE</h1>
       </div>
-      <p className="text-sm text-gray-500 hidden sm:block">ניהול טעינת צי רכב חשמלי</p>
+      <div className="flex items-center gap-4">
+        <p className="text-sm text-gray-500 hidden sm:block">ניהול טעינת צי רכב חשמלי</p>
+        <span className="text-sm font-semibold text-gray-700">{dispatcherName}</span>
+        <button onClick={onLogout} className="flex items-center text-sm bg-gray-200 text-gray-700 font-semibold py-1 px-3 rounded-lg hover:bg-gray-300 transition-colors">
+          <LogOut className="w-4 h-4 ml-1" />
+          יציאה
+        </button>
+      </div>
     </div>
   </header>
 );
 
 // Dashboard Component
-const Dashboard = ({ cars, chargers, selectedCar, selectedCharger, radius, checkResult, carDetails, isChecking, onCarSelect, onChargerSelect, onRadiusChange, onCheck, onNavigateToHistory }) => {
+const Dashboard = ({ cars, carsFreshness, isOnline, chargers, selectedCar, selectedCharger, radius, radiusSource, carGroup, checkResult, carDetails, isChecking, onCarSelect, onChargerSelect, onRadiusChange, positionThresholds, onPositionThresholdsChange, onCheck, isLive, isLivePaused, liveInterval, lastUpdated, trail, onLiveToggle, onLiveIntervalChange, onNavigateToHistory, onNavigateToChargers, onNavigateToPolicy, onNavigateToFleet, onNavigateToFleetMap, onNavigateToEvents, onNavigateToChecks, onNavigateToFleetReport, onNavigateToReconciliation }) => {
+  const geofence = selectedCar && selectedCharger && carDetails?.lat != null && carDetails?.lng != null
+    ? evaluateGeofence(carDetails.lat, carDetails.lng, selectedCharger, radius)
+    : null;
+
   return (
     <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
       <div className="lg:col-span-1 bg-white p-6 rounded-xl shadow-md space-y-6">
-        <h2 className="text-xl font-semibold text-gray-700 border-b pb-3">סימולטור דלקן חכם</h2>
+        <div className="border-b pb-3">
+          <h2 className="text-xl font-semibold text-gray-700">סימולטור דלקן חכם</h2>
+          <DataFreshness {...carsFreshness} />
+        </div>
         <div className="space-y-4">
-          <CustomSelect 
-            label="בחר רכב" 
-            icon={<Car className="w-5 h-5 text-gray-400"/>} 
-            options={cars.map(c => ({ value: c.car_number, label: `${c.brand || ''} ${c.model || 'רכב'} (${c.car_number})` }))}
+          <CarPicker
+            label="בחר רכב"
+            icon={<Car className="w-5 h-5 text-gray-400"/>}
+            cars={cars}
             value={selectedCar?.car_number}
-            onChange={(e) => onCarSelect(e.target.value)}
+            onChange={onCarSelect}
             placeholder={cars.length === 0 ? "לא נמצאו רכבים" : "בחר מרשימת הרכבים"}
             disabled={cars.length === 0}
           />
@@ -246,17 +547,30 @@ const Dashboard = ({ cars, chargers, selectedCar, selectedCharger, radius, check
             options={chargers.map(ch => ({ value: ch.id, label: `${ch.name} - ${ch.address}` }))}
             value={selectedCharger?.id}
             onChange={(e) => onChargerSelect(e.target.value)}
-            placeholder="בחר מרשימת העמדות"
+            placeholder={chargers.length === 0 ? "לא הוגדרו עמדות" : "בחר מרשימת העמדות"}
+            disabled={chargers.length === 0}
           />
         </div>
         <div>
           <label htmlFor="radius" className="block text-sm font-medium text-gray-600 mb-2">
             רדיוס אימות (מטרים): <span className="font-bold text-blue-600">{radius} מ'</span>
-            {selectedCar && selectedCharger && carDetails && (
+            <span className="block text-xs text-gray-500 mt-1">
+              {`${RADIUS_SOURCE_LABELS[radiusSource]}${radiusSource === 'car_group' ? `: ${carGroup.name}` : ''}`}
+              {radiusSource === 'manual' && (
+                <button type="button" onClick={() => onRadiusChange(null)} className="inline-flex items-center text-blue-600 hover:text-blue-800 mr-2">
+                  <RotateCcw className="w-3 h-3 ml-1" />
+                  חזרה לרדיוס המדיניות
+                </button>
+              )}
+            </span>
+            {geofence && (
               <span className="block text-xs text-gray-500 mt-1">
-                מרחק נוכחי: {Math.round(getDistanceInMeters(carDetails.lat, carDetails.lng, selectedCharger.location_geo.lat, selectedCharger.location_geo.lng))} מ'
+                מרחק נוכחי: {Math.round(geofence.distance)} מ'
               </span>
             )}
+            {hasPolygon(selectedCharger) && (
+              <span className="block text-xs text-blue-600 mt-1">לעמדה מוגדר פוליגון - הרדיוס משמש לתצוגה בלבד</span>
+            )}
           </label>
           <input 
             type="range" 
@@ -273,51 +587,131 @@ const Dashboard = ({ cars, chargers, selectedCar, selectedCharger, radius, check
             <span>8000 מ'</span>
           </div>
         </div>
+        <PositionThresholds thresholds={positionThresholds} onChange={onPositionThresholdsChange} />
         <div className="space-y-3 pt-4 border-t">
-          <button onClick={onCheck} disabled={!selectedCar || !selectedCharger || isChecking} className="w-full flex justify-center items-center bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
+          <button onClick={onCheck} disabled={!selectedCar || !selectedCharger || isChecking || !isOnline} className="w-full flex justify-center items-center bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
             {isChecking ? <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg> : "ודא סמיכות רכב למטען"}
           </button>
+          <LiveControls
+            isLive={isLive}
+            isPaused={isLivePaused}
+            interval={liveInterval}
+            lastUpdated={lastUpdated}
+            disabled={!selectedCar || !selectedCharger || !isOnline}
+            onToggle={onLiveToggle}
+            onIntervalChange={onLiveIntervalChange}
+          />
           <button onClick={onNavigateToHistory} disabled={!selectedCar} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
             <Clock className="w-5 h-5 ml-2" /> היסטוריית טעינות
           </button>
+          <button onClick={onNavigateToFleetReport} disabled={cars.length === 0} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
+            <FileText className="w-5 h-5 ml-2" /> דוח טעינות צי
+          </button>
+          <button onClick={onNavigateToReconciliation} disabled={cars.length === 0} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
+            <FileCheck className="w-5 h-5 ml-2" /> אימות עסקאות מקובץ
+          </button>
+          <button onClick={onNavigateToChargers} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 transition-colors duration-300">
+            <Settings className="w-5 h-5 ml-2" /> ניהול עמדות טעינה
+          </button>
+          <button onClick={onNavigateToPolicy} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 transition-colors duration-300">
+            <ShieldCheck className="w-5 h-5 ml-2" /> מדיניות אימות
+          </button>
+          <button onClick={onNavigateToFleet} disabled={cars.length === 0} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
+            <Radar className="w-5 h-5 ml-2" /> בדיקת כל הצי
+          </button>
+          <button onClick={onNavigateToFleetMap} disabled={cars.length === 0} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-300">
+            <MapIcon className="w-5 h-5 ml-2" /> מפת צי
+          </button>
+          <button onClick={onNavigateToEvents} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 transition-colors duration-300">
+            <ScrollText className="w-5 h-5 ml-2" /> יומן כניסות ויציאות
+          </button>
+          <button onClick={onNavigateToChecks} className="w-full flex justify-center items-center bg-gray-200 text-gray-700 font-semibold py-3 px-4 rounded-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 transition-colors duration-300">
+            <ClipboardList className="w-5 h-5 ml-2" /> היסטוריית בדיקות
+          </button>
         </div>
       </div>
       <div className="lg:col-span-2 space-y-8">
-        {selectedCar && selectedCharger && carDetails && (
+        {geofence && (
           <div className={`p-4 rounded-xl border-2 ${
-            getDistanceInMeters(carDetails.lat, carDetails.lng, selectedCharger.location_geo.lat, selectedCharger.location_geo.lng) <= radius 
+            geofence.inside 
               ? 'bg-green-50 border-green-200' 
               : 'bg-orange-50 border-orange-200'
           }`}>
             <div className="flex items-center justify-between">
               <div className="flex items-center">
-                {getDistanceInMeters(carDetails.lat, carDetails.lng, selectedCharger.location_geo.lat, selectedCharger.location_geo.lng) <= radius ? (
+                {geofence.inside ? (
                   <CheckCircle className="w-6 h-6 text-green-500 ml-2" />
                 ) : (
                   <AlertTriangle className="w-6 h-6 text-orange-500 ml-2" />
                 )}
                 <span className="font-semibold">
-                  {getDistanceInMeters(carDetails.lat, carDetails.lng, selectedCharger.location_geo.lat, selectedCharger.location_geo.lng) <= radius 
+                  {geofence.inside 
                     ? 'הרכב בטווח המותר' 
                     : 'הרכב מחוץ לטווח'}
                 </span>
               </div>
               <div className="text-sm text-gray-600">
-                {Math.round(getDistanceInMeters(carDetails.lat, carDetails.lng, selectedCharger.location_geo.lat, selectedCharger.location_geo.lng))} מ' / {radius} מ'
+                {geofence.rule === 'polygon'
+                  ? `${Math.round(geofence.distance)} מ' · ${GEOFENCE_RULE_LABELS.polygon}`
+                  : `${Math.round(geofence.distance)} מ' / ${radius} מ'`}
               </div>
             </div>
           </div>
         )}
-        {checkResult && <ResultCard result={checkResult} />}
+        {checkResult && (
+          <ResultCard
+            result={checkResult}
+            onDownloadReport={() => downloadProximityCertificate(checkResult)}
+          />
+        )}
         <div className="bg-white p-6 rounded-xl shadow-md">
           <h2 className="text-xl font-semibold text-gray-700 mb-4">מפת מיקומים</h2>
-          <MapDisplay carDetails={carDetails} charger={selectedCharger} radius={radius} />
+          <MapDisplay carDetails={carDetails} charger={selectedCharger} radius={radius} trail={trail} />
         </div>
       </div>
     </div>
   );
 };
 
+// Live Tracking Controls Component
+const LiveControls = ({ isLive, isPaused, interval, lastUpdated, disabled, onToggle, onIntervalChange }) => (
+  <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+    <div className="flex items-center justify-between gap-3">
+      <button onClick={onToggle} disabled={disabled} className={`flex items-center font-semibold py-2 px-4 rounded-lg transition-colors duration-300 disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed ${isLive ? 'bg-red-100 text-red-700 hover:bg-red-200' : 'bg-blue-100 text-blue-700 hover:bg-blue-200'}`}>
+        {isLive ? <Pause className="w-5 h-5 ml-2" /> : <Play className="w-5 h-5 ml-2" />}
+        {isLive ? 'עצור מעקב חי' : 'מעקב חי'}
+      </button>
+      <select value={interval} onChange={(e) => onIntervalChange(Number(e.target.value))} className="bg-white border border-gray-300 text-gray-700 py-2 px-2 rounded-md text-sm focus:outline-none focus:border-blue-500">
+        {LIVE_INTERVAL_OPTIONS.map(seconds => <option key={seconds} value={seconds}>{`כל ${seconds} שנ'`}</option>)}
+      </select>
+    </div>
+    {isLive && (
+      <p className="text-xs text-gray-500 flex items-center">
+        <span className={`inline-block w-2 h-2 rounded-full ml-2 ${isPaused ? 'bg-yellow-400' : 'bg-green-500 animate-pulse'}`}></span>
+        {isPaused ? 'המעקב מושהה בזמן שהלשונית מוסתרת' : 'מעקב פעיל'}
+        {lastUpdated && ` · עודכן ${lastUpdated.toLocaleTimeString('he-IL')}`}
+      </p>
+    )}
+  </div>
+);
+
+// Position Thresholds Component - when a GPS fix is too old or too coarse to decide on
+const PositionThresholds = ({ thresholds, onChange }) => (
+  <details className="text-sm">
+    <summary className="cursor-pointer text-gray-600 font-medium">ספי אמינות מיקום</summary>
+    <div className="grid grid-cols-2 gap-3 mt-2">
+      <label className="block text-xs text-gray-500">
+        גיל מיקום מקסימלי (דקות)
+        <input type="number" min="1" value={thresholds.maxAgeMinutes} onChange={e => onChange({ ...thresholds, maxAgeMinutes: Math.max(1, Number(e.target.value) || 1) })} className="mt-1 w-full border border-gray-300 rounded-md p-1 text-sm" />
+      </label>
+      <label className="block text-xs text-gray-500">
+        {"דיוק מקסימלי (מ')"}
+        <input type="number" min="1" value={thresholds.maxAccuracyMeters} onChange={e => onChange({ ...thresholds, maxAccuracyMeters: Math.max(1, Number(e.target.value) || 1) })} className="mt-1 w-full border border-gray-300 rounded-md p-1 text-sm" />
+      </label>
+    </div>
+  </details>
+);
+
 // Custom Select Component
 const CustomSelect = ({ label, icon, options, value, onChange, placeholder, disabled }) => (
   <div>
@@ -343,391 +737,138 @@ const CustomSelect = ({ label, icon, options, value, onChange, placeholder, disa
 );
 
 // Result Card Component
-const ResultCard = ({ result }) => {
+const ResultCard = ({ result, onDownloadReport }) => {
+  const [isGenerating, setIsGenerating] = useState(false);
   const isApproved = result.status === 'approved';
   const isDenied = result.status === 'denied';
+  const isInconclusive = result.status === 'inconclusive';
   const isError = result.status === 'error';
 
-  const bgColor = isApproved ? 'bg-green-50 border-green-200' : isDenied ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200';
-  const iconColor = isApproved ? 'text-green-500' : isDenied ? 'text-red-500' : 'text-yellow-500';
-  const titleColor = isApproved ? 'text-green-800' : isDenied ? 'text-red-800' : 'text-yellow-800';
-  const textColor = isApproved ? 'text-green-600' : isDenied ? 'text-red-600' : 'text-yellow-600';
+  const bgColor = isApproved ? 'bg-green-50 border-green-200' : isDenied ? 'bg-red-50 border-red-200' : isInconclusive ? 'bg-orange-50 border-orange-200' : 'bg-yellow-50 border-yellow-200';
+  const iconColor = isApproved ? 'text-green-500' : isDenied ? 'text-red-500' : isInconclusive ? 'text-orange-500' : 'text-yellow-500';
+  const titleColor = isApproved ? 'text-green-800' : isDenied ? 'text-red-800' : isInconclusive ? 'text-orange-800' : 'text-yellow-800';
+  const textColor = isApproved ? 'text-green-600' : isDenied ? 'text-red-600' : isInconclusive ? 'text-orange-600' : 'text-yellow-600';
 
-  const title = isApproved ? 'סמיכות רכב אושרה' : isDenied ? 'סמיכות רכב נדחתה' : 'שגיאה בבדיקה';
+  const title = isApproved ? 'סמיכות רכב אושרה' : isDenied ? 'סמיכות רכב נדחתה' : isInconclusive ? 'לא ניתן להכריע' : 'שגיאה בבדיקה';
   let message = '';
-  if (isApproved) message = `הרכב נמצא בטווח המותר (${result.distance} מ' מהמטען).`;
-  if (isDenied) message = `הרכב מחוץ לטווח (${result.distance} מ' מהמטען).`;
+  if (isApproved) message = result.rule === 'polygon' ? `הרכב נמצא בתוך גדר העמדה (${result.distance} מ' מהמטען).` : `הרכב נמצא בטווח המותר (${result.distance} מ' מהמטען).`;
+  const failedGeofence = result.rules?.some(rule => rule.code === 'geofence' && rule.passed === false);
+  if (isDenied && !failedGeofence) message = `הרכב בעמדה, אך הבדיקה לא עמדה בכללי מדיניות האימות (${result.distance} מ' מהמטען).`;
+  else if (isDenied) message = result.rule === 'polygon' ? `הרכב מחוץ לגדר העמדה (${result.distance} מ' מהמטען).` : `הרכב מחוץ לטווח (${result.distance} מ' מהמטען).`;
+  // An inconclusive check comes from an unreliable position fix, or else from a policy rule it could not decide
+  const undecidedRules = (result.rules || []).filter(rule => rule.passed === null).map(rule => POLICY_RULE_LABELS[rule.code]);
+  if (isInconclusive && result.reasons?.length > 0) message = `מיקום הרכב אינו אמין מספיק להכרעה (${result.distance} מ' מהמטען).`;
+  else if (isInconclusive) message = `הרכב בעמדה, אך לא ניתן לקבוע את ${undecidedRules.join(', ')} (${result.distance} מ' מהמטען).`;
   if (isError) message = result.message || 'אירעה שגיאה לא צפויה.';
 
+  const handleDownload = async () => {
+    setIsGenerating(true);
+    try {
+      await onDownloadReport();
+    } catch (error) {
+      console.error('Error generating proximity certificate:', error);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
   return (
     <div className={`p-6 rounded-xl shadow-lg ${bgColor} border`}>
       <div className="flex items-center">
         {isApproved && <CheckCircle className={`w-12 h-12 ${iconColor}`} />}
         {isDenied && <XCircle className={`w-12 h-12 ${iconColor}`} />}
+        {isInconclusive && <HelpCircle className={`w-12 h-12 ${iconColor}`} />}
         {isError && <AlertTriangle className={`w-12 h-12 ${iconColor}`} />}
         <div className="mr-4">
           <h3 className={`text-2xl font-bold ${titleColor}`}>{title}</h3>
           <p className={`mt-1 ${textColor}`}>{message}</p>
+          {result.rule && (
+            <p className="mt-1 text-sm text-gray-500">
+              {`נקבע לפי: ${GEOFENCE_RULE_LABELS[result.rule]}${result.rule === 'polygon' ? ' (בדיקת נקודה בתוך פוליגון)' : ' (מרחק מהעמדה)'}`}
+            </p>
+          )}
+          {(result.accuracy != null || result.positionTime) && (
+            <p className="mt-1 text-sm text-gray-500">
+              {[
+                result.accuracy != null && `דיוק מיקום: ±${Math.round(result.accuracy)} מ'`,
+                result.positionTime && `מועד המיקום: ${new Date(result.positionTime).toLocaleString('he-IL')}`,
+              ].filter(Boolean).join(' · ')}
+            </p>
+          )}
+          {result.reasons?.length > 0 && (
+            <ul className="mt-2 space-y-1 text-sm">
+              {result.reasons.map(reason => (
+                <li key={reason.code}>
+                  <span className="font-semibold text-orange-800">{INCONCLUSIVE_REASONS[reason.code]}</span>
+                  <span className="text-gray-600">{` - ${reason.detail}`}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {result.rules && <PolicyRules rules={result.rules} carGroup={result.carGroup} />}
         </div>
+        {(isApproved || isDenied) && (
+          <button onClick={handleDownload} disabled={isGenerating} className="mr-auto flex items-center bg-white border border-gray-300 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-50 transition-colors disabled:text-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            {isGenerating ? 'מפיק...' : 'הורד אישור PDF'}
+          </button>
+        )}
+        {isInconclusive && (
+          <p className="mr-auto text-sm text-orange-700 max-w-[12rem]">לא ניתן להפיק אישור PDF לבדיקה שלא הוכרעה.</p>
+        )}
       </div>
     </div>
   );
 };
 
-// Google Map Component
-const GoogleMap = ({ carDetails, charger, radius }) => {
-  const mapRef = React.useRef(null);
-  const [map, setMap] = React.useState(null);
-  const markersRef = React.useRef({ car: null, charger: null, radiusCircle: null });
-
-  React.useEffect(() => {
-    if (mapRef.current && !map) {
-      // Center map on Israel (Tel Aviv area) as default
-      const center = carDetails && charger 
-        ? { lat: (carDetails.lat + charger.location_geo.lat) / 2, lng: (carDetails.lng + charger.location_geo.lng) / 2 }
-        : { lat: 32.0853, lng: 34.7818 }; // Tel Aviv
-
-      const googleMap = new window.google.maps.Map(mapRef.current, {
-        center,
-        zoom: carDetails && charger ? 15 : 10,
-        language: 'he', // Hebrew language
-        region: 'IL', // Israel region
-        mapTypeControl: true,
-        streetViewControl: true,
-        fullscreenControl: true,
-        styles: [
-          {
-            featureType: "all",
-            elementType: "labels.text",
-            stylers: [
-              { visibility: "on" }
-            ]
-          }
-        ]
-      });
-
-      setMap(googleMap);
-    }
-  }, [mapRef, map]);
-
-  React.useEffect(() => {
-    if (map && carDetails && charger) {
-      // Clear existing markers
-      if (markersRef.current.car) markersRef.current.car.setMap(null);
-      if (markersRef.current.charger) markersRef.current.charger.setMap(null);
-      if (markersRef.current.radiusCircle) markersRef.current.radiusCircle.setMap(null);
-
-      // Car marker
-      const carMarker = new window.google.maps.Marker({
-        position: { lat: carDetails.lat, lng: carDetails.lng },
-        map: map,
-        title: `רכב ${carDetails.car_number}`,
-        icon: {
-          path: window.google.maps.SymbolPath.CIRCLE,
-          scale: 12,
-          fillColor: '#3B82F6',
-          fillOpacity: 1,
-          strokeColor: '#1E40AF',
-          strokeWeight: 3,
-        }
-      });
-
-      // Charger marker
-      const chargerMarker = new window.google.maps.Marker({
-        position: charger.location_geo,
-        map: map,
-        title: `${charger.name} - ${charger.address}`,
-        icon: {
-          path: window.google.maps.SymbolPath.CIRCLE,
-          scale: 10,
-          fillColor: '#F59E0B',
-          fillOpacity: 1,
-          strokeColor: '#D97706',
-          strokeWeight: 3,
-        }
-      });
-
-      // Radius circle - this will update when radius changes
-      const radiusCircle = new window.google.maps.Circle({
-        strokeColor: '#10B981',
-        strokeOpacity: 0.8,
-        strokeWeight: 2,
-        fillColor: '#10B981',
-        fillOpacity: 0.15,
-        map: map,
-        center: charger.location_geo,
-        radius: radius, // radius in meters
-      });
-
-      // Store references for cleanup
-      markersRef.current = { car: carMarker, charger: chargerMarker, radiusCircle: radiusCircle };
-
-      // Info windows
-      const carInfoWindow = new window.google.maps.InfoWindow({
-        content: `
-          <div style="direction: rtl; font-family: Arial; min-width: 200px;">
-            <h3 style="color: #1E40AF; margin: 0 0 10px 0;">🚗 רכב ${carDetails.car_number}</h3>
-            <p style="margin: 5px 0;"><strong>מיקום:</strong> ${carDetails.lat.toFixed(6)}, ${carDetails.lng.toFixed(6)}</p>
-            <p style="margin: 5px 0; color: #059669;"><strong>רדיוס נוכחי:</strong> ${radius} מטר</p>
-          </div>
-        `
-      });
-
-      const chargerInfoWindow = new window.google.maps.InfoWindow({
-        content: `
-          <div style="direction: rtl; font-family: Arial; min-width: 200px;">
-            <h3 style="color: #D97706; margin: 0 0 10px 0;">🔌 ${charger.name}</h3>
-            <p style="margin: 5px 0;"><strong>כתובת:</strong> ${charger.address}</p>
-            <p style="margin: 5px 0;"><strong>מיקום:</strong> ${charger.location_geo.lat.toFixed(6)}, ${charger.location_geo.lng.toFixed(6)}</p>
-            <p style="margin: 5px 0; color: #059669;"><strong>רדיוס אימות:</strong> ${radius} מטר</p>
-          </div>
-        `
-      });
-
-      carMarker.addListener('click', () => {
-        chargerInfoWindow.close();
-        carInfoWindow.open(map, carMarker);
-      });
-
-      chargerMarker.addListener('click', () => {
-        carInfoWindow.close();
-        chargerInfoWindow.open(map, chargerMarker);
-      });
-
-      // Auto-fit map to show both markers and radius
-      const bounds = new window.google.maps.LatLngBounds();
-      bounds.extend({ lat: carDetails.lat, lng: carDetails.lng });
-      bounds.extend(charger.location_geo);
-      
-      // Extend bounds to include radius circle
-      const radiusInDegrees = radius / 111320; // rough conversion from meters to degrees
-      bounds.extend({
-        lat: charger.location_geo.lat + radiusInDegrees,
-        lng: charger.location_geo.lng + radiusInDegrees
-      });
-      bounds.extend({
-        lat: charger.location_geo.lat - radiusInDegrees,
-        lng: charger.location_geo.lng - radiusInDegrees
-      });
-      
-      map.fitBounds(bounds);
-
-      // Add some padding and ensure reasonable zoom
-      const listener = window.google.maps.event.addListener(map, 'idle', () => {
-        if (map.getZoom() > 18) map.setZoom(18);
-        if (map.getZoom() < 10) map.setZoom(10);
-        window.google.maps.event.removeListener(listener);
-      });
-    }
-  }, [map, carDetails, charger, radius]); // Added radius to dependency array
-
-  // Cleanup on unmount
-  React.useEffect(() => {
-    return () => {
-      if (markersRef.current.car) markersRef.current.car.setMap(null);
-      if (markersRef.current.charger) markersRef.current.charger.setMap(null);
-      if (markersRef.current.radiusCircle) markersRef.current.radiusCircle.setMap(null);
-    };
-  }, []);
-
-  return <div ref={mapRef} style={{ width: '100%', height: '400px', borderRadius: '0.75rem' }} />;
-};
-
-// Map Display Component with Google Maps
-const MapDisplay = ({ carDetails, charger, radius }) => {
-  if (!GOOGLE_MAPS_API_KEY) {
-    return (
-      <div className="w-full h-96 bg-yellow-50 border-2 border-yellow-200 rounded-xl flex items-center justify-center">
-        <div className="text-center p-6">
-          <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
-          <h3 className="text-lg font-semibold text-yellow-800 mb-2">Google Maps API Key חסר</h3>
-          <p className="text-yellow-700">אנא הוסף את REACT_APP_GOOGLE_MAPS_API_KEY לקובץ .env</p>
-        </div>
-      </div>
-    );
-  }
-
-  const hasData = carDetails && charger;
-
-  const render = (status) => {
-    switch (status) {
-      case Status.LOADING:
-        return (
-          <div className="w-full h-96 bg-gray-100 rounded-xl flex items-center justify-center">
-            <div className="text-center">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
-              <p className="text-gray-500">טוען מפה...</p>
-            </div>
-          </div>
-        );
-      case Status.FAILURE:
-        return (
-          <div className="w-full h-96 bg-red-50 border-2 border-red-200 rounded-xl flex items-center justify-center">
-            <div className="text-center p-6">
-              <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
-              <h3 className="text-lg font-semibold text-red-800 mb-2">שגיאה בטעינת המפה</h3>
-              <p className="text-red-700">בדוק את מפתח Google Maps API או חיבור האינטרנט</p>
-            </div>
-          </div>
-        );
-      default:
-        return hasData ? (
-          <GoogleMap carDetails={carDetails} charger={charger} radius={radius} />
-        ) : (
-          <div className="w-full h-96 bg-gray-100 rounded-xl flex items-center justify-center">
-            <p className="text-gray-500">בחר רכב ומטען ולחץ "ודא סמיכות" להצגת מיקומים במפה.</p>
-          </div>
-        );
-    }
-  };
-
-  return (
-    <Wrapper 
-      apiKey={GOOGLE_MAPS_API_KEY} 
-      render={render}
-      libraries={['places']}
-      language="he"
-      region="IL"
-    />
-  );
-};
-
-// History Screen Component
-const HistoryScreen = ({ car, onBack, radius }) => {
-  const [chargingHistory, setChargingHistory] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [apiError, setApiError] = useState(null);
-  const [dateRange, setDateRange] = useState({
-      from: new Date(new Date().setFullYear(new Date().getFullYear() - 1)).toISOString().split('T')[0],
-      to: new Date().toISOString().split('T')[0]
-  });
-
-  const formatDateForApi = (dateString) => {
-      if (!dateString) return null;
-      const [year, month, day] = dateString.split('-');
-      return `${day}/${month}/${year}`;
-  };
+// Policy Rules Component - the outcome of each verification policy rule behind a check
+const PolicyRules = ({ rules, carGroup }) => (
+  <div className="mt-3 text-sm">
+    <p className="font-semibold text-gray-700">{`כללי מדיניות${carGroup ? ` · קבוצת רכב: ${carGroup}` : ''}`}</p>
+    <ul className="mt-1 space-y-1">
+      {rules.map(rule => (
+        <li key={rule.code} className="flex items-start">
+          {rule.passed === true && <CheckCircle className="w-4 h-4 text-green-500 ml-2 mt-0.5 flex-shrink-0" />}
+          {rule.passed === false && <XCircle className="w-4 h-4 text-red-500 ml-2 mt-0.5 flex-shrink-0" />}
+          {rule.passed === null && <HelpCircle className="w-4 h-4 text-orange-500 ml-2 mt-0.5 flex-shrink-0" />}
+          <span>
+            <span className="font-semibold text-gray-800">{POLICY_RULE_LABELS[rule.code]}</span>
+            <span className="text-gray-600">{` - ${rule.detail}`}</span>
+          </span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
 
-  useEffect(() => {
-    if (!car || !API_TOKEN) return;
+// Map Display Component - the dashboard map, drawn by the selected map provider
+const MapDisplay = ({ carDetails, charger, radius, trail }) => {
+  const [provider, setProvider] = useState(loadMapProvider);
+  const providers = getAvailableMapProviders();
+  const MapView = MAP_PROVIDERS[provider].component;
+  const hasData = charger && carDetails?.lat != null && carDetails?.lng != null;
 
-    const fetchHistory = async () => {
-        setIsLoading(true);
-        setApiError(null);
-        try {
-            const response = await fetch(`${API_BASE_URL}/reports/cars/charging`, {
-                method: 'POST',
-                headers: { 'Authorization': API_TOKEN, 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    car_numbers: [car.car_number],
-                    date_from: formatDateForApi(dateRange.from),
-                    date_to: formatDateForApi(dateRange.to)
-                })
-            });
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            const data = await response.json();
-            if (data.success) {
-                setChargingHistory(data.data[0] || []);
-            } else {
-                throw new Error('API returned success: false when fetching history.');
-            }
-        } catch (error) {
-            console.error('Error fetching charging history:', error);
-            setApiError('שגיאה בטעינת היסטוריית הטעינות.');
-        } finally {
-            setIsLoading(false);
-        }
-    };
-    
-    fetchHistory();
-  }, [car, dateRange]);
-  
-  const exportToExcel = () => {
-    const headers = ["תאריך התחלה", "תאריך סיום", "משך", "אחוז התחלה", "אחוז סיום", "סה\"כ קוט\"ש", "עלות", "מיקום", "מרחק מהעמדה (מ')"];
-    const data = chargingHistory.map(item => `"${[item.datetime_start, item.datetime_end, item.duration, item.percents_start, item.percents_end, item.total_kw, item.total_price, item.location_name, item.distance].join('","')}"`);
-    const csvContent = "data:text/csv;charset=utf-8,\uFEFF" + [headers.join(','), ...data].join('\n');
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    link.setAttribute("download", `charging_history_${car.car_number}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const handleProviderChange = (key) => {
+    setProvider(key);
+    saveMapProvider(key);
   };
 
   return (
-    <div className="bg-white p-6 rounded-xl shadow-md">
-      <div className="flex justify-between items-center border-b pb-4 mb-6">
-        <div>
-            <h2 className="text-2xl font-bold text-gray-800">היסטוריית טעינות</h2>
-            <p className="text-gray-500">{`רכב: ${car.brand || ''} ${car.model || ''} (${car.car_number})`}</p>
-        </div>
-        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
-          <ArrowLeft className="w-5 h-5 ml-2" />
-          חזרה לדשבורד
-        </button>
+    <div>
+      <div className="flex justify-end gap-2 mb-2">
+        {providers.map(key => (
+          <button key={key} onClick={() => handleProviderChange(key)} className={`py-1 px-3 rounded-full text-xs font-semibold transition-colors ${provider === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}>
+            {MAP_PROVIDERS[key].label}
+          </button>
+        ))}
       </div>
-      
-      <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
-        <div className="flex items-center gap-4 flex-wrap">
-          <CalendarIcon className="w-5 h-5 text-gray-500"/>
-          <input type="date" value={dateRange.from} onChange={e => setDateRange({...dateRange, from: e.target.value})} className="border-gray-300 rounded-md p-2"/>
-          <span className="text-gray-500">-</span>
-          <input type="date" value={dateRange.to} onChange={e => setDateRange({...dateRange, to: e.target.value})} className="border-gray-300 rounded-md p-2"/>
+      {hasData ? (
+        <MapView carDetails={carDetails} charger={charger} radius={radius} trail={trail} />
+      ) : (
+        <div className="w-full h-96 bg-gray-100 rounded-xl flex items-center justify-center">
+          <p className="text-gray-500">בחר רכב ומטען ולחץ "ודא סמיכות" להצגת מיקומים במפה.</p>
         </div>
-        <button onClick={exportToExcel} disabled={chargingHistory.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
-          <FileDown className="w-5 h-5 ml-2" />
-          ייצוא ל-Excel
-        </button>
-      </div>
-
-      <div className="overflow-x-auto">
-        {isLoading && <p className="text-center py-8 text-gray-500">טוען היסטוריה...</p>}
-        {apiError && !isLoading && <ApiError message={apiError} />}
-        {!isLoading && !apiError && chargingHistory.length === 0 && (
-          <p className="text-center py-8 text-gray-500">לא נמצאו רשומות טעינה עבור הרכב והתאריכים שנבחרו.</p>
-        )}
-        {!isLoading && !apiError && chargingHistory.length > 0 && (
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-100">
-              <tr>
-                {["תאריך התחלה", "משך", "סוללה", "אנרגיה (קוט\"ש)", "עלות", "מיקום", "מרחק (מ')"].map(header => (
-                  <th key={header} scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
-                ))}
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {chargingHistory.map((item, index) => (
-                <tr key={index} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{item.datetime_start}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.duration}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    <div className="flex items-center">
-                      {item.percents_start}% → {item.percents_end}% 
-                      <span className="mr-2 text-green-600 font-semibold">(+{item.total_percents}%)</span>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{Number(item.total_kw).toFixed(2)}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">₪{Number(item.total_price).toFixed(2)}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.location_name}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${Number(item.distance) > radius ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
-                        {item.distance}
-                    </span>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
-      </div>
+      )}
     </div>
   );
 };
-
-const ApiError = ({ message }) => (
-    <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md" role="alert">
-        <p className="font-bold">שגיאת API</p>
-        <p>{message}</p>
-    </div>
-);
@@ -0,0 +1,162 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ChevronDown, Clock, SlidersHorizontal } from 'lucide-react';
+import { searchCars, filterCars, getBrands, carLabel, hasLocation, loadRecentCars, addRecentCar, LOCATION_FILTERS } from './carSearch';
+
+// Long lists are cut here; typing narrows them down
+const MAX_RESULTS = 100;
+
+// Car Picker Component - searchable combobox with recent cars pinned and attribute filters
+const CarPicker = ({ label, icon, cars, value, onChange, placeholder, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ brand: '', location: 'all' });
+  const [showFilters, setShowFilters] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recentCarNumbers, setRecentCarNumbers] = useState(loadRecentCars);
+  const containerRef = useRef(null);
+  const listRef = useRef(null);
+
+  const brands = useMemo(() => getBrands(cars), [cars]);
+  const selectedCar = cars.find(c => c.car_number === value);
+  const isFiltered = filters.brand !== '' || filters.location !== 'all';
+
+  // Without a query, recent cars come first; with one, results are ranked by match quality
+  const { options, recentCount, total } = useMemo(() => {
+    const matches = searchCars(filterCars(cars, filters), query);
+    if (query.trim()) return { options: matches.slice(0, MAX_RESULTS), recentCount: 0, total: matches.length };
+    const recent = recentCarNumbers.map(n => matches.find(c => c.car_number === n)).filter(Boolean);
+    const rest = matches.filter(c => !recent.includes(c));
+    return { options: [...recent, ...rest].slice(0, MAX_RESULTS), recentCount: recent.length, total: matches.length };
+  }, [cars, filters, query, recentCarNumbers]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query, filters]);
+
+  // Keep the highlighted option visible while moving through the list with the keyboard
+  useEffect(() => {
+    if (!isOpen || !listRef.current) return;
+    const option = listRef.current.querySelector(`[data-index="${activeIndex}"]`);
+    if (option) option.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex, isOpen]);
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery('');
+  };
+
+  const select = (car) => {
+    setRecentCarNumbers(addRecentCar(car.car_number));
+    onChange(car.car_number);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (!isOpen) setIsOpen(true);
+      else setActiveIndex(i => Math.min(i + 1, options.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      if (isOpen && options[activeIndex]) {
+        e.preventDefault();
+        select(options[activeIndex]);
+      }
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  // Focus moving outside the picker (click elsewhere or Tab) closes it
+  const handleBlur = (e) => {
+    if (!containerRef.current.contains(e.relatedTarget)) close();
+  };
+
+  const listId = 'car-picker-options';
+
+  return (
+    <div ref={containerRef} onBlur={handleBlur}>
+      <label htmlFor="car-picker" className="block text-sm font-medium text-gray-600 mb-1">{label}</label>
+      <div className="relative">
+        <div className="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
+          {icon}
+        </div>
+        <input
+          id="car-picker"
+          type="text"
+          role="combobox"
+          aria-expanded={isOpen}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={isOpen && options[activeIndex] ? `car-option-${options[activeIndex].car_number}` : undefined}
+          value={isOpen ? query : (selectedCar ? carLabel(selectedCar) : '')}
+          onChange={e => { setQuery(e.target.value); setIsOpen(true); }}
+          onFocus={() => setIsOpen(true)}
+          onClick={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder={isOpen ? 'חיפוש לפי מספר רכב, יצרן או דגם' : placeholder}
+          disabled={disabled}
+          autoComplete="off"
+          className="w-full block bg-white border border-gray-300 text-gray-700 py-2 pl-16 pr-10 rounded-md leading-tight focus:outline-none focus:border-blue-500 disabled:bg-gray-100"
+        />
+        <div className="absolute inset-y-0 left-0 flex items-center px-2 gap-1 text-gray-700">
+          <button
+            type="button"
+            onClick={() => { setShowFilters(s => !s); setIsOpen(true); }}
+            disabled={disabled}
+            title="סינון"
+            className={`p-1 rounded ${isFiltered ? 'text-blue-600 bg-blue-50' : 'text-gray-500 hover:bg-gray-100'}`}
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+          </button>
+          <ChevronDown className="w-5 h-5 pointer-events-none" />
+        </div>
+
+        {isOpen && (
+          <div tabIndex={-1} className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg focus:outline-none">
+            {showFilters && (
+              <div className="flex gap-2 p-2 border-b bg-gray-50">
+                <select value={filters.brand} onChange={e => setFilters({ ...filters, brand: e.target.value })} className="flex-1 border border-gray-300 rounded-md p-1 text-sm">
+                  <option value="">כל היצרנים</option>
+                  {brands.map(brand => <option key={brand} value={brand}>{brand}</option>)}
+                </select>
+                <select value={filters.location} onChange={e => setFilters({ ...filters, location: e.target.value })} className="flex-1 border border-gray-300 rounded-md p-1 text-sm">
+                  {Object.entries(LOCATION_FILTERS).map(([key, text]) => <option key={key} value={key}>{text}</option>)}
+                </select>
+              </div>
+            )}
+            <ul id={listId} ref={listRef} role="listbox" className="max-h-72 overflow-y-auto py-1">
+              {options.length === 0 && <li className="px-3 py-2 text-sm text-gray-500">לא נמצאו רכבים תואמים.</li>}
+              {options.map((car, index) => (
+                <li
+                  key={car.car_number}
+                  id={`car-option-${car.car_number}`}
+                  data-index={index}
+                  role="option"
+                  aria-selected={car.car_number === value}
+                  onMouseDown={e => e.preventDefault()}
+                  onClick={() => select(car)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`px-3 py-2 text-sm cursor-pointer flex justify-between items-center ${index === activeIndex ? 'bg-blue-50' : ''} ${index === recentCount - 1 ? 'border-b' : ''}`}
+                >
+                  <span className={car.car_number === value ? 'font-semibold text-blue-700' : 'text-gray-700'}>
+                    {index < recentCount && <Clock className="w-3 h-3 inline ml-1 text-gray-400" />}
+                    {carLabel(car)}
+                  </span>
+                  {!hasLocation(car) && <span className="text-xs text-yellow-700">ללא מיקום</span>}
+                </li>
+              ))}
+            </ul>
+            {total > options.length && (
+              <p className="px-3 py-1 text-xs text-gray-500 border-t">{`מוצגים ${options.length} מתוך ${total} - הקלד כדי לצמצם`}</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CarPicker;
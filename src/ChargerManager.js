@@ -0,0 +1,204 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { ArrowLeft, BatteryCharging, Pencil, Trash2, Plus, FileDown, FileUp } from 'lucide-react';
+import { normalizeCharger, chargersToJson, parseChargersJson, DEFAULT_RADIUS, MIN_RADIUS, MAX_RADIUS } from './chargerStore';
+import { downloadFile } from './download';
+import { hasPolygon } from './geo';
+import GeofenceEditor from './GeofenceEditor';
+
+const EMPTY_FORM = { id: null, name: '', address: '', lat: '', lng: '', radius: DEFAULT_RADIUS, polygon: [] };
+
+const toForm = (charger) => ({
+  id: charger.id,
+  name: charger.name,
+  address: charger.address,
+  lat: charger.location_geo.lat,
+  lng: charger.location_geo.lng,
+  radius: charger.radius,
+  polygon: charger.polygon || [],
+});
+
+// Charger Registry Screen Component
+const ChargerManager = ({ chargers, onChange, onBack }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const isEditing = form.id !== null;
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setNotice(null);
+    try {
+      const charger = normalizeCharger({ ...form, id: form.id || undefined });
+      if (isEditing) {
+        onChange(chargers.map(ch => ch.id === charger.id ? charger : ch));
+        setNotice(`העמדה "${charger.name}" עודכנה.`);
+      } else {
+        onChange([...chargers, charger]);
+        setNotice(`העמדה "${charger.name}" נוספה.`);
+      }
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (charger) => {
+    if (!window.confirm(`למחוק את העמדה "${charger.name}"?`)) return;
+    onChange(chargers.filter(ch => ch.id !== charger.id));
+    if (form.id === charger.id) resetForm();
+    setNotice(`העמדה "${charger.name}" נמחקה.`);
+  };
+
+  const handleExport = () => {
+    downloadFile(chargersToJson(chargers), 'chargers.json', 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    setNotice(null);
+    try {
+      const imported = parseChargersJson(await file.text());
+      if (!window.confirm(`לייבא ${imported.length} עמדות ולהחליף את הרשימה הנוכחית?`)) return;
+      onChange(imported);
+      resetForm();
+      setNotice(`יובאו ${imported.length} עמדות.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const formCenter = useMemo(() => ({ lat: parseFloat(form.lat), lng: parseFloat(form.lng) }), [form.lat, form.lng]);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">ניהול עמדות טעינה</h2>
+          <p className="text-gray-500">{`${chargers.length} עמדות רשומות`}</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {notice && !error && (
+        <div className="bg-green-50 border-l-4 border-green-500 text-green-700 p-4 mb-6 rounded-md" role="status">
+          <p>{notice}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <form onSubmit={handleSubmit} className="lg:col-span-1 space-y-4 p-4 bg-gray-50 rounded-lg">
+          <h3 className="text-lg font-semibold text-gray-700">{isEditing ? 'עריכת עמדה' : 'הוספת עמדה'}</h3>
+          <FormField label="שם העמדה" value={form.name} onChange={updateField('name')} required />
+          <FormField label="כתובת" value={form.address} onChange={updateField('address')} />
+          <div className="grid grid-cols-2 gap-3">
+            <FormField label="קו רוחב (lat)" type="number" step="any" value={form.lat} onChange={updateField('lat')} required />
+            <FormField label="קו אורך (lng)" type="number" step="any" value={form.lng} onChange={updateField('lng')} required />
+          </div>
+          <FormField label="רדיוס ברירת מחדל (מ')" type="number" min={MIN_RADIUS} max={MAX_RADIUS} value={form.radius} onChange={updateField('radius')} />
+          <GeofenceEditor
+            key={form.id || 'new'}
+            center={formCenter}
+            radius={Number(form.radius) || DEFAULT_RADIUS}
+            polygon={form.polygon}
+            onChange={(polygon) => setForm(prev => ({ ...prev, polygon }))}
+          />
+          <div className="flex gap-3">
+            <button type="submit" className="flex-1 flex justify-center items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors">
+              {isEditing ? 'שמור שינויים' : <><Plus className="w-5 h-5 ml-2" /> הוסף עמדה</>}
+            </button>
+            {isEditing && (
+              <button type="button" onClick={resetForm} className="bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+                ביטול
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="lg:col-span-2">
+          <div className="flex justify-end gap-3 mb-4">
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+            <button onClick={() => fileInputRef.current.click()} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+              <FileUp className="w-5 h-5 ml-2" />
+              ייבוא JSON
+            </button>
+            <button onClick={handleExport} disabled={chargers.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+              <FileDown className="w-5 h-5 ml-2" />
+              ייצוא JSON
+            </button>
+          </div>
+
+          {chargers.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">אין עמדות רשומות. הוסף עמדה או ייבא קובץ.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-100">
+                  <tr>
+                    {["שם", "כתובת", "מיקום", "רדיוס (מ')", "גדר", ""].map(header => (
+                      <th key={header} scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {chargers.map(charger => (
+                    <tr key={charger.id} className={form.id === charger.id ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <div className="flex items-center">
+                          <BatteryCharging className="w-4 h-4 text-gray-400 ml-2" />
+                          {charger.name}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{charger.address}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500" dir="ltr">{charger.location_geo.lat.toFixed(5)}, {charger.location_geo.lng.toFixed(5)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{charger.radius}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{hasPolygon(charger) ? `פוליגון (${charger.polygon.length} נק')` : 'רדיוס'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex gap-2">
+                          <button onClick={() => { setForm(toForm(charger)); setError(null); setNotice(null); }} title="עריכה" className="text-blue-600 hover:text-blue-800">
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button onClick={() => handleDelete(charger)} title="מחיקה" className="text-red-600 hover:text-red-800">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const FormField = ({ label, ...inputProps }) => (
+  <label className="block">
+    <span className="block text-sm font-medium text-gray-600 mb-1">{label}</span>
+    <input {...inputProps} className="w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:border-blue-500" />
+  </label>
+);
+
+export default ChargerManager;
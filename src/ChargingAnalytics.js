@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+import { ResponsiveContainer, ComposedChart, BarChart, LineChart, PieChart, Pie, Cell, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { groupByPeriod, energyByLocation, summarizeSessions, formatMinutes, PERIODS } from './chargingStats';
+
+const COLORS = { kw: '#3B82F6', price: '#10B981', pricePerKw: '#F59E0B', inRadius: '#10B981', outOfRadius: '#EF4444' };
+
+// Charging Analytics Component - trends computed from the loaded history sessions
+const ChargingAnalytics = ({ sessions, radius }) => {
+  const [period, setPeriod] = useState('week');
+
+  const byPeriod = useMemo(() => groupByPeriod(sessions, period), [sessions, period]);
+  const byLocation = useMemo(() => energyByLocation(sessions).slice(0, 10), [sessions]);
+  const summary = useMemo(() => summarizeSessions(sessions, radius), [sessions, radius]);
+
+  const radiusShare = summary.outOfRadiusShare == null ? [] : [
+    { name: 'בתוך הרדיוס', value: summary.withDistance - summary.outOfRadius, color: COLORS.inRadius },
+    { name: 'מחוץ לרדיוס', value: summary.outOfRadius, color: COLORS.outOfRadius },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <StatCard label="טעינות" value={summary.count} />
+        <StatCard label='סה"כ קוט"ש' value={summary.kw.toFixed(2)} />
+        <StatCard label='סה"כ עלות' value={`₪${summary.price.toFixed(2)}`} />
+        <StatCard label="משך ממוצע" value={formatMinutes(summary.avgDurationMinutes)} />
+        <StatCard label='עלות ממוצעת לקוט"ש' value={summary.pricePerKw == null ? '-' : `₪${summary.pricePerKw.toFixed(2)}`} />
+      </div>
+
+      <div className="flex items-center gap-2">
+        {Object.entries(PERIODS).map(([key, label]) => (
+          <button key={key} onClick={() => setPeriod(key)} className={`py-1 px-3 rounded-full text-sm font-semibold transition-colors ${period === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ChartCard title='אנרגיה ועלות לאורך זמן'>
+          <ComposedChart data={byPeriod}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" reversed />
+            <YAxis yAxisId="kw" orientation="right" />
+            <YAxis yAxisId="price" orientation="left" />
+            <Tooltip />
+            <Legend />
+            <Bar yAxisId="kw" dataKey="kw" name='קוט"ש' fill={COLORS.kw} />
+            <Line yAxisId="price" dataKey="price" name="עלות (₪)" stroke={COLORS.price} strokeWidth={2} />
+          </ComposedChart>
+        </ChartCard>
+
+        <ChartCard title='מגמת עלות לקוט"ש'>
+          <LineChart data={byPeriod}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" reversed />
+            <YAxis orientation="right" />
+            <Tooltip />
+            <Line dataKey="pricePerKw" name='₪ לקוט"ש' stroke={COLORS.pricePerKw} strokeWidth={2} connectNulls />
+          </LineChart>
+        </ChartCard>
+
+        <ChartCard title="אנרגיה לפי מיקום">
+          <BarChart data={byLocation} layout="vertical">
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" reversed />
+            <YAxis type="category" dataKey="location" orientation="right" width={140} />
+            <Tooltip />
+            <Bar dataKey="kw" name='קוט"ש' fill={COLORS.kw} />
+          </BarChart>
+        </ChartCard>
+
+        <ChartCard title={`טעינות מחוץ לרדיוס (${radius} מ')`} emptyMessage={radiusShare.length === 0 ? 'אין נתוני מרחק בטעינות.' : null}>
+          <PieChart>
+            <Pie data={radiusShare} dataKey="value" nameKey="name" innerRadius={60} outerRadius={100} label={({ percent }) => `${Math.round(percent * 100)}%`}>
+              {radiusShare.map(entry => <Cell key={entry.name} fill={entry.color} />)}
+            </Pie>
+            <Tooltip />
+            <Legend />
+          </PieChart>
+        </ChartCard>
+      </div>
+    </div>
+  );
+};
+
+const StatCard = ({ label, value }) => (
+  <div className="p-4 bg-gray-50 rounded-lg">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-xl font-bold text-gray-800">{value}</p>
+  </div>
+);
+
+// Recharts lays out left-to-right, so the chart area itself is rendered LTR
+const ChartCard = ({ title, emptyMessage, children }) => (
+  <div className="p-4 border rounded-lg">
+    <h3 className="text-sm font-semibold text-gray-700 mb-3">{title}</h3>
+    {emptyMessage ? (
+      <p className="text-center py-8 text-gray-500">{emptyMessage}</p>
+    ) : (
+      <div style={{ width: '100%', height: 280 }} dir="ltr">
+        <ResponsiveContainer>{children}</ResponsiveContainer>
+      </div>
+    )}
+  </div>
+);
+
+export default ChargingAnalytics;
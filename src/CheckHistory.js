@@ -0,0 +1,155 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, FileDown, Search } from 'lucide-react';
+import { downloadFile } from './download';
+import { auditToCsv, describeAuditOutcome, CHECK_STATUS_LABELS, CHECK_TRIGGER_LABELS, MAX_AUDIT_ENTRIES } from './checkAudit';
+
+const PAGE_SIZE = 100;
+
+const STATUS_STYLES = {
+  approved: 'bg-green-100 text-green-800',
+  denied: 'bg-red-100 text-red-800',
+  inconclusive: 'bg-orange-100 text-orange-800',
+  error: 'bg-yellow-100 text-yellow-800',
+};
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString('he-IL');
+
+// Local calendar day of a timestamp, comparable with <input type="date"> values
+const toLocalDate = (iso) => {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Check History Screen Component - the audit trail of proximity checks
+const CheckHistory = ({ entries, onBack }) => {
+  const [filters, setFilters] = useState({ text: '', status: '', trigger: '', from: '', to: '' });
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  const filteredEntries = useMemo(() => {
+    const text = filters.text.trim().toLowerCase();
+    return entries
+      .filter(e => !text || [e.car_number, e.car_label, e.charger_name, e.user].some(value => String(value || '').toLowerCase().includes(text)))
+      .filter(e => !filters.status || e.status === filters.status)
+      .filter(e => !filters.trigger || e.trigger === filters.trigger)
+      .filter(e => !filters.from || toLocalDate(e.timestamp) >= filters.from)
+      .filter(e => !filters.to || toLocalDate(e.timestamp) <= filters.to)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }, [entries, filters]);
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const exportCsv = () => {
+    downloadFile(auditToCsv(filteredEntries), 'proximity_checks.csv', 'text/csv;charset=utf-8');
+  };
+
+  const exportJson = () => {
+    downloadFile(JSON.stringify(filteredEntries, null, 2), 'proximity_checks.json', 'application/json');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">היסטוריית בדיקות סמיכות</h2>
+          <p className="text-gray-500">{`כל בדיקה שבוצעה והתוצאה שהוצגה · ${entries.length} רשומות (נשמרות עד ${MAX_AUDIT_ENTRIES} האחרונות)`}</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
+        <div className="flex items-center gap-4 flex-wrap">
+          <div className="relative">
+            <div className="absolute inset-y-0 right-0 flex items-center pr-2 pointer-events-none">
+              <Search className="w-4 h-4 text-gray-400" />
+            </div>
+            <input type="search" value={filters.text} onChange={updateFilter('text')} placeholder="רכב, עמדה או משתמש" className="bg-white border border-gray-300 rounded-md p-2 pr-8 text-sm" />
+          </div>
+          <select value={filters.status} onChange={updateFilter('status')} className="bg-white border border-gray-300 rounded-md p-2 text-sm">
+            <option value="">כל התוצאות</option>
+            {Object.entries(CHECK_STATUS_LABELS).map(([status, label]) => <option key={status} value={status}>{label}</option>)}
+          </select>
+          <select value={filters.trigger} onChange={updateFilter('trigger')} className="bg-white border border-gray-300 rounded-md p-2 text-sm">
+            <option value="">כל ההפעלות</option>
+            {Object.entries(CHECK_TRIGGER_LABELS).map(([trigger, label]) => <option key={trigger} value={trigger}>{label}</option>)}
+          </select>
+          <label className="text-sm text-gray-600 flex items-center gap-2">
+            מתאריך
+            <input type="date" value={filters.from} onChange={updateFilter('from')} className="bg-white border border-gray-300 rounded-md p-2 text-sm" />
+          </label>
+          <label className="text-sm text-gray-600 flex items-center gap-2">
+            עד
+            <input type="date" value={filters.to} onChange={updateFilter('to')} className="bg-white border border-gray-300 rounded-md p-2 text-sm" />
+          </label>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={exportCsv} disabled={filteredEntries.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            CSV
+          </button>
+          <button onClick={exportJson} disabled={filteredEntries.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        {filteredEntries.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">
+            {entries.length === 0 ? 'טרם בוצעו בדיקות סמיכות.' : 'אין בדיקות התואמות לחיפוש.'}
+          </p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-100">
+              <tr>
+                {["מועד", "משתמש", "רכב", "עמדה", "מיקום הרכב", "מרחק / רדיוס (מ')", "תוצאה", "פירוט"].map(header => (
+                  <th key={header} scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredEntries.slice(0, visibleCount).map(entry => (
+                <tr key={entry.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                    {formatTimestamp(entry.timestamp)}
+                    <span className="block text-xs text-gray-500">{CHECK_TRIGGER_LABELS[entry.trigger]}</span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{entry.user}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {entry.car_number}
+                    {entry.car_label && <span className="block text-xs">{entry.car_label}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{entry.charger_name}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500" dir="ltr">
+                    {entry.lat != null ? `${Number(entry.lat).toFixed(5)}, ${Number(entry.lng).toFixed(5)}` : '-'}
+                    {entry.accuracy != null && <span className="block text-xs">{`±${Math.round(entry.accuracy)} m`}</span>}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{`${entry.distance ?? '-'} / ${entry.radius}`}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[entry.status]}`}>{CHECK_STATUS_LABELS[entry.status]}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{describeAuditOutcome(entry) || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {filteredEntries.length > visibleCount && (
+          <div className="text-center mt-4">
+            <button onClick={() => setVisibleCount(count => count + PAGE_SIZE)} className="bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+              {`הצג עוד (${visibleCount} מתוך ${filteredEntries.length})`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckHistory;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { RefreshCw, CloudOff } from 'lucide-react';
+
+// "Last updated" line for data loaded through the offline cache. `refreshFailed` means the
+// latest attempt to refresh did not get through, so what is shown may be out of date.
+const DataFreshness = ({ updatedAt, isRefreshing, refreshFailed }) => {
+  if (!updatedAt && !isRefreshing) return null;
+  return (
+    <p className={`flex items-center text-xs ${refreshFailed ? 'text-orange-700' : 'text-gray-500'}`}>
+      {isRefreshing && <RefreshCw className="w-3 h-3 ml-1 animate-spin" />}
+      {!isRefreshing && refreshFailed && <CloudOff className="w-3 h-3 ml-1" />}
+      {updatedAt && `עודכן לאחרונה: ${new Date(updatedAt).toLocaleString('he-IL')}`}
+      {isRefreshing && (updatedAt ? ' · מתעדכן...' : 'מתעדכן...')}
+      {!isRefreshing && refreshFailed && ' · לא ניתן לרענן, מוצגים נתונים שמורים'}
+    </p>
+  );
+};
+
+export default DataFreshness;
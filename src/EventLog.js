@@ -0,0 +1,123 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, FileDown, LogIn, LogOut, Trash2 } from 'lucide-react';
+import { EVENT_LABELS } from './geofenceLog';
+import { downloadFile, toCsv } from './download';
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString('he-IL');
+
+// Geofence Event Log Screen Component
+const EventLog = ({ events, chargers, onClear, onBack }) => {
+  const [filters, setFilters] = useState({ car: '', charger: '', type: '' });
+
+  const carOptions = useMemo(() => [...new Set(events.map(e => e.car_number))].sort(), [events]);
+  const chargerOptions = useMemo(() => {
+    // Include chargers that were deleted from the registry but still appear in the log
+    const names = new Map(events.map(e => [e.charger_id, e.charger_name]));
+    chargers.forEach(ch => names.set(ch.id, ch.name));
+    return [...names.entries()].map(([id, name]) => ({ id, name }));
+  }, [events, chargers]);
+
+  const filteredEvents = useMemo(() => events
+    .filter(e => !filters.car || e.car_number === filters.car)
+    .filter(e => !filters.charger || e.charger_id === filters.charger)
+    .filter(e => !filters.type || e.type === filters.type)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp)), [events, filters]);
+
+  const exportCsv = () => {
+    const headers = ["זמן", "אירוע", "מספר רכב", "עמדה", "קו רוחב", "קו אורך", "מרחק (מ')", "רדיוס (מ')"];
+    const rows = filteredEvents.map(e => [e.timestamp, EVENT_LABELS[e.type], e.car_number, e.charger_name, e.lat, e.lng, e.distance, e.radius]);
+    downloadFile(toCsv(headers, rows), 'geofence_events.csv', 'text/csv;charset=utf-8');
+  };
+
+  const exportJson = () => {
+    downloadFile(JSON.stringify(filteredEvents, null, 2), 'geofence_events.json', 'application/json');
+  };
+
+  const handleClear = () => {
+    if (window.confirm('למחוק את כל יומן האירועים?')) onClear();
+  };
+
+  const updateFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">יומן כניסות ויציאות</h2>
+          <p className="text-gray-500">מעבר רכבים את רדיוס עמדות הטעינה, כפי שזוהה בבדיקות ובמעקב החי</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
+        <div className="flex items-center gap-4 flex-wrap">
+          <select value={filters.car} onChange={updateFilter('car')} className="bg-white border border-gray-300 rounded-md p-2 text-sm">
+            <option value="">כל הרכבים</option>
+            {carOptions.map(carNumber => <option key={carNumber} value={carNumber}>{carNumber}</option>)}
+          </select>
+          <select value={filters.charger} onChange={updateFilter('charger')} className="bg-white border border-gray-300 rounded-md p-2 text-sm">
+            <option value="">כל העמדות</option>
+            {chargerOptions.map(ch => <option key={ch.id} value={ch.id}>{ch.name}</option>)}
+          </select>
+          <select value={filters.type} onChange={updateFilter('type')} className="bg-white border border-gray-300 rounded-md p-2 text-sm">
+            <option value="">כל האירועים</option>
+            {Object.entries(EVENT_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={exportCsv} disabled={filteredEvents.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            CSV
+          </button>
+          <button onClick={exportJson} disabled={filteredEvents.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            JSON
+          </button>
+          <button onClick={handleClear} disabled={events.length === 0} title="ניקוי היומן" className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-3 rounded-lg hover:bg-gray-300 transition-colors disabled:text-gray-400">
+            <Trash2 className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        {filteredEvents.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">
+            {events.length === 0 ? 'טרם נרשמו אירועים. הפעל מעקב חי או בדיקת צי כדי לזהות כניסות ויציאות.' : 'אין אירועים התואמים לסינון.'}
+          </p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-100">
+              <tr>
+                {["זמן", "אירוע", "רכב", "עמדה", "מיקום", "מרחק (מ')"].map(header => (
+                  <th key={header} scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredEvents.map(event => (
+                <tr key={event.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatTimestamp(event.timestamp)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <span className={`px-2 inline-flex items-center text-xs leading-5 font-semibold rounded-full ${event.type === 'entered' ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-800'}`}>
+                      {event.type === 'entered' ? <LogIn className="w-3 h-3 ml-1" /> : <LogOut className="w-3 h-3 ml-1" />}
+                      {EVENT_LABELS[event.type]}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{event.car_number}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{event.charger_name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500" dir="ltr">{Number(event.lat).toFixed(5)}, {Number(event.lng).toFixed(5)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{`${event.distance} / ${event.radius}`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventLog;
@@ -0,0 +1,189 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, CheckCircle, XCircle, AlertTriangle, ChevronUp, ChevronDown, Radar } from 'lucide-react';
+import { getCarsInfo, describeApiError } from './api';
+import { evaluateGeofence } from './geo';
+import ApiError from './ApiError';
+
+// /cars/info accepts a list of car numbers; large fleets are split to keep each request small.
+const BATCH_SIZE = 50;
+
+export const STATUS_LABELS = {
+  approved: 'בטווח',
+  denied: 'מחוץ לטווח',
+  no_location: 'אין מיקום',
+  no_chargers: 'אין עמדות רשומות',
+};
+
+const STATUS_ORDER = { approved: 0, denied: 1, no_location: 2, no_chargers: 3 };
+
+const STATUS_BADGE_STYLES = {
+  approved: 'bg-green-100 text-green-800',
+  denied: 'bg-red-100 text-red-800',
+  no_location: 'bg-yellow-100 text-yellow-800',
+  no_chargers: 'bg-gray-100 text-gray-800',
+};
+
+// Evaluates a single car against the registered chargers: the closest charger whose geofence
+// contains the car, otherwise the closest charger overall. `radiusFor(carNumber, charger)` gives
+// the radius the verification policy applies to the car at each charger.
+// A car without a position is `no_location`; a located car with no chargers to compare against is `no_chargers`.
+export const evaluateCar = (carInfo, chargers, radiusFor) => {
+  const hasLocation = carInfo.lat != null && carInfo.lng != null;
+  if (!hasLocation || chargers.length === 0) {
+    return { ...carInfo, charger: null, distance: null, radius: null, rule: null, status: hasLocation ? 'no_chargers' : 'no_location' };
+  }
+  const candidates = chargers
+    .map(charger => {
+      const radius = radiusFor(carInfo.car_number, charger);
+      return { charger, radius, ...evaluateGeofence(carInfo.lat, carInfo.lng, charger, radius) };
+    })
+    .sort((a, b) => (b.inside - a.inside) || (a.distance - b.distance));
+  const best = candidates[0];
+  return {
+    ...carInfo,
+    charger: best.charger,
+    distance: Math.round(best.distance),
+    radius: best.radius,
+    rule: best.rule,
+    status: best.inside ? 'approved' : 'denied',
+  };
+};
+
+const SORTERS = {
+  car_number: (a, b) => String(a.car_number).localeCompare(String(b.car_number)),
+  car: (a, b) => `${a.brand || ''} ${a.model || ''}`.localeCompare(`${b.brand || ''} ${b.model || ''}`, 'he'),
+  charger: (a, b) => (a.charger?.name || '').localeCompare(b.charger?.name || '', 'he'),
+  distance: (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity),
+  status: (a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status],
+};
+
+const COLUMNS = [
+  { key: 'car_number', label: 'מספר רכב' },
+  { key: 'car', label: 'רכב' },
+  { key: 'charger', label: 'עמדה קרובה' },
+  { key: 'distance', label: "מרחק (מ')" },
+  { key: 'status', label: 'סטטוס' },
+];
+
+// Fleet Check Screen Component
+const FleetCheck = ({ cars, chargers, radiusFor, onBack, onSelectCar, onPositions }) => {
+  const [results, setResults] = useState([]);
+  const [isChecking, setIsChecking] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [apiError, setApiError] = useState(null);
+  const [sort, setSort] = useState({ key: 'status', direction: 'asc' });
+  const [checkedAt, setCheckedAt] = useState(null);
+
+  const handleFleetCheck = async () => {
+    const carNumbers = cars.map(c => c.car_number);
+    setIsChecking(true);
+    setApiError(null);
+    setResults([]);
+    setProgress({ done: 0, total: carNumbers.length });
+
+    try {
+      const collected = [];
+      for (let i = 0; i < carNumbers.length; i += BATCH_SIZE) {
+        const batch = await getCarsInfo(carNumbers.slice(i, i + BATCH_SIZE));
+        onPositions(batch);
+        collected.push(...batch.map(carInfo => evaluateCar(carInfo, chargers, radiusFor)));
+        setResults([...collected]);
+        setProgress({ done: Math.min(i + BATCH_SIZE, carNumbers.length), total: carNumbers.length });
+      }
+      setCheckedAt(new Date());
+    } catch (error) {
+      console.error('Error running fleet check:', error);
+      setApiError(describeApiError(error, 'שגיאה בבדיקת הצי.'));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const counts = useMemo(() => results.reduce((acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }), { approved: 0, denied: 0, no_location: 0, no_chargers: 0 }), [results]);
+
+  const sortedResults = useMemo(() => {
+    const sorted = [...results].sort(SORTERS[sort.key]);
+    return sort.direction === 'asc' ? sorted : sorted.reverse();
+  }, [results, sort]);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">בדיקת סמיכות לכל הצי</h2>
+          <p className="text-gray-500">{`${cars.length} רכבים, ${chargers.length} עמדות`}{checkedAt && ` · נבדק ב-${checkedAt.toLocaleTimeString('he-IL')}`}</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
+        <div className="flex items-center gap-4 flex-wrap">
+          <SummaryBadge icon={<CheckCircle className="w-5 h-5 text-green-500" />} label={STATUS_LABELS.approved} count={counts.approved} />
+          <SummaryBadge icon={<XCircle className="w-5 h-5 text-red-500" />} label={STATUS_LABELS.denied} count={counts.denied} />
+          <SummaryBadge icon={<AlertTriangle className="w-5 h-5 text-yellow-500" />} label={STATUS_LABELS.no_location} count={counts.no_location} />
+          {counts.no_chargers > 0 && <SummaryBadge icon={<AlertTriangle className="w-5 h-5 text-gray-400" />} label={STATUS_LABELS.no_chargers} count={counts.no_chargers} />}
+        </div>
+        <button onClick={handleFleetCheck} disabled={isChecking || cars.length === 0 || chargers.length === 0} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400">
+          <Radar className="w-5 h-5 ml-2" />
+          {isChecking ? `בודק... ${progress.done}/${progress.total}` : 'בדוק את כל הצי'}
+        </button>
+      </div>
+
+      {apiError && <ApiError message={apiError} />}
+
+      <div className="overflow-x-auto">
+        {!isChecking && results.length === 0 && !apiError && (
+          <p className="text-center py-8 text-gray-500">לחץ "בדוק את כל הצי" כדי לאתר אילו רכבים חונים כעת ליד עמדת טעינה.</p>
+        )}
+        {results.length > 0 && (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-100">
+              <tr>
+                {COLUMNS.map(col => (
+                  <th key={col.key} scope="col" onClick={() => toggleSort(col.key)} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700">
+                    <span className="inline-flex items-center">
+                      {col.label}
+                      {sort.key === col.key && (sort.direction === 'asc' ? <ChevronUp className="w-4 h-4 mr-1" /> : <ChevronDown className="w-4 h-4 mr-1" />)}
+                    </span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sortedResults.map(result => (
+                <tr key={result.car_number} onClick={() => onSelectCar(result.car_number, result.charger?.id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{result.car_number}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{`${result.brand || ''} ${result.model || ''}`}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{result.charger ? result.charger.name : '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{result.distance == null ? '-' : result.rule === 'polygon' ? `${result.distance} (פוליגון)` : `${result.distance} / ${result.radius}`}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGE_STYLES[result.status]}`}>
+                      {STATUS_LABELS[result.status]}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SummaryBadge = ({ icon, label, count }) => (
+  <div className="flex items-center bg-white border rounded-lg px-3 py-2">
+    {icon}
+    <span className="mr-2 text-sm text-gray-600">{label}:</span>
+    <span className="mr-1 font-bold text-gray-800">{count}</span>
+  </div>
+);
+
+export default FleetCheck;
@@ -0,0 +1,21 @@
+import { evaluateCar } from './FleetCheck';
+
+const charger = { id: 'C1', name: 'עמדה', location_geo: { lat: 32, lng: 34.8 }, radius: 50, polygon: null };
+const radiusFor = (carNumber, ch) => ch.radius;
+
+describe('evaluateCar', () => {
+  test('approves a car inside the closest charger geofence', () => {
+    const result = evaluateCar({ car_number: '1234567', lat: 32, lng: 34.8 }, [charger], radiusFor);
+    expect(result).toMatchObject({ status: 'approved', charger, distance: 0, radius: 50, rule: 'radius' });
+  });
+
+  test('reports a car without a position as no_location', () => {
+    const result = evaluateCar({ car_number: '1234567', lat: null, lng: null }, [charger], radiusFor);
+    expect(result.status).toBe('no_location');
+  });
+
+  test('reports a located car as no_chargers when no chargers are registered', () => {
+    const result = evaluateCar({ car_number: '1234567', lat: 32, lng: 34.8 }, [], radiusFor);
+    expect(result).toMatchObject({ status: 'no_chargers', charger: null, distance: null });
+  });
+});
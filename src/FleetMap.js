@@ -0,0 +1,252 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Wrapper, Status } from '@googlemaps/react-wrapper';
+import { MarkerClusterer } from '@googlemaps/markerclusterer';
+import { ArrowLeft, RefreshCw, XCircle, CheckCircle } from 'lucide-react';
+import { GOOGLE_MAPS_API_KEY, GOOGLE_MAPS_OPTIONS } from './config';
+import { getCarsInfo, describeApiError } from './api';
+import { evaluateCar, STATUS_LABELS } from './FleetCheck';
+import { carLabel } from './carSearch';
+import { MAP_PROVIDERS, getAvailableMapProviders, loadMapProvider, saveMapProvider } from './mapProviders';
+import LeafletFleetMapView from './LeafletFleetMapView';
+import ApiError from './ApiError';
+
+// /cars/info batch size, as in the fleet check
+const BATCH_SIZE = 50;
+
+const STATUS_COLORS = { approved: '#10B981', denied: '#EF4444', no_chargers: '#6B7280' };
+const CHARGER_COLOR = '#F59E0B';
+const SELECTED_STROKE = '#1E3A8A';
+
+// Fleet Map Screen Component - every car and charger on one map; clicking a marker selects it
+const FleetMap = ({ cars, chargers, radiusFor, selectedCar, selectedCharger, onSelectCar, onSelectCharger, onOpenDashboard, onBack, onPositions }) => {
+  const [positions, setPositions] = useState(cars);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [apiError, setApiError] = useState(null);
+  const [provider, setProvider] = useState(loadFleetMapProvider);
+  const providers = getAvailableMapProviders().filter(key => FLEET_MAP_VIEWS[key]);
+  const OverviewMapView = FLEET_MAP_VIEWS[provider];
+
+  const handleProviderChange = (key) => {
+    setProvider(key);
+    saveMapProvider(key);
+  };
+
+  // Colour every car by its nearest-charger status, as in the fleet check
+  const evaluated = useMemo(() => positions.map(car => evaluateCar(car, chargers, radiusFor)), [positions, chargers, radiusFor]);
+  const counts = useMemo(() => evaluated.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {}), [evaluated]);
+
+  const refreshPositions = async () => {
+    setIsRefreshing(true);
+    setApiError(null);
+    try {
+      const carNumbers = cars.map(c => c.car_number);
+      const collected = [];
+      for (let i = 0; i < carNumbers.length; i += BATCH_SIZE) {
+        const batch = await getCarsInfo(carNumbers.slice(i, i + BATCH_SIZE));
+        collected.push(...batch);
+        onPositions(batch);
+      }
+      setPositions(collected);
+    } catch (error) {
+      console.error('Error refreshing fleet positions:', error);
+      setApiError(describeApiError(error, 'שגיאה ברענון מיקומי הצי.'));
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">מפת צי</h2>
+          <p className="text-gray-500">כל הרכבים והעמדות במפה אחת. לחיצה על רכב או עמדה בוחרת אותם לבדיקה.</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div className="flex flex-wrap gap-3 text-sm">
+          <LegendItem color={STATUS_COLORS.approved} label={`${STATUS_LABELS.approved} (${counts.approved || 0})`} />
+          <LegendItem color={STATUS_COLORS.denied} label={`${STATUS_LABELS.denied} (${counts.denied || 0})`} />
+          {counts.no_chargers > 0 && <LegendItem color={STATUS_COLORS.no_chargers} label={`${STATUS_LABELS.no_chargers} (${counts.no_chargers})`} />}
+          <LegendItem color={CHARGER_COLOR} label={`עמדות טעינה (${chargers.length})`} square />
+          {counts.no_location > 0 && <span className="text-yellow-700">{`${counts.no_location} רכבים ללא מיקום אינם מוצגים`}</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          {providers.map(key => (
+            <button key={key} onClick={() => handleProviderChange(key)} className={`py-1 px-3 rounded-full text-xs font-semibold transition-colors ${provider === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}>
+              {MAP_PROVIDERS[key].label}
+            </button>
+          ))}
+          <button onClick={refreshPositions} disabled={isRefreshing || cars.length === 0} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400">
+            <RefreshCw className={`w-5 h-5 ml-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+            {isRefreshing ? 'מרענן...' : 'רענן מיקומים'}
+          </button>
+        </div>
+      </div>
+
+      {apiError && <ApiError message={apiError} />}
+
+      <OverviewMapView
+        cars={evaluated}
+        chargers={chargers}
+        selectedCarNumber={selectedCar?.car_number}
+        selectedChargerId={selectedCharger?.id}
+        onSelectCar={onSelectCar}
+        onSelectCharger={onSelectCharger}
+      />
+
+      <div className="mt-4 p-4 bg-gray-50 rounded-lg flex flex-col md:flex-row justify-between items-center gap-4">
+        <div className="text-sm text-gray-700 space-y-1">
+          <p><span className="font-semibold">רכב: </span>{selectedCar ? carLabel(selectedCar) : 'לא נבחר'}</p>
+          <p><span className="font-semibold">עמדה: </span>{selectedCharger ? selectedCharger.name : 'לא נבחרה'}</p>
+        </div>
+        <button onClick={onOpenDashboard} disabled={!selectedCar || !selectedCharger} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400">
+          <CheckCircle className="w-5 h-5 ml-2" />
+          לבדיקת סמיכות בדשבורד
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const LegendItem = ({ color, label, square }) => (
+  <span className="flex items-center text-gray-700">
+    <span className={`inline-block w-3 h-3 ml-2 ${square ? 'rounded-sm' : 'rounded-full'}`} style={{ backgroundColor: color }} />
+    {label}
+  </span>
+);
+
+// Only offered when a key is configured, so it needs no missing-key fallback of its own
+const OverviewMapDisplay = (props) => {
+  const render = (status) => {
+    if (status === Status.FAILURE) {
+      return (
+        <div className="w-full h-[32rem] bg-red-50 border-2 border-red-200 rounded-xl flex items-center justify-center">
+          <div className="text-center p-6">
+            <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-red-800 mb-2">שגיאה בטעינת המפה</h3>
+            <p className="text-red-700">בדוק את מפתח Google Maps API או חיבור האינטרנט</p>
+          </div>
+        </div>
+      );
+    }
+    if (status === Status.LOADING) {
+      return (
+        <div className="w-full h-[32rem] bg-gray-100 rounded-xl flex items-center justify-center">
+          <p className="text-gray-500">טוען מפה...</p>
+        </div>
+      );
+    }
+    return <OverviewMap {...props} />;
+  };
+
+  return <Wrapper apiKey={GOOGLE_MAPS_API_KEY} render={render} {...GOOGLE_MAPS_OPTIONS} />;
+};
+
+// Fleet overview per map provider. The schematic view draws a single car and charger, so it has
+// no fleet counterpart and falls back to Leaflet, as does Google when no key is configured.
+const FLEET_MAP_VIEWS = {
+  google: OverviewMapDisplay,
+  leaflet: LeafletFleetMapView,
+};
+
+const loadFleetMapProvider = () => {
+  const key = loadMapProvider();
+  return FLEET_MAP_VIEWS[key] ? key : 'leaflet';
+};
+
+const circleIcon = (color, isSelected, scale) => ({
+  path: window.google.maps.SymbolPath.CIRCLE,
+  scale: isSelected ? scale + 4 : scale,
+  fillColor: color,
+  fillOpacity: 1,
+  strokeColor: isSelected ? SELECTED_STROKE : '#FFFFFF',
+  strokeWeight: isSelected ? 3 : 2,
+});
+
+// Cars are clustered; chargers are few and always drawn individually on top
+const OverviewMap = ({ cars, chargers, selectedCarNumber, selectedChargerId, onSelectCar, onSelectCharger }) => {
+  const mapRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const clustererRef = useRef(null);
+  const hasFittedRef = useRef(false);
+  // Marker listeners outlive renders, so they call the latest handlers through a ref
+  const handlersRef = useRef({ onSelectCar, onSelectCharger });
+  handlersRef.current = { onSelectCar, onSelectCharger };
+
+  useEffect(() => {
+    if (!mapRef.current || map) return;
+    const googleMap = new window.google.maps.Map(mapRef.current, {
+      center: { lat: 32.0853, lng: 34.7818 }, // Tel Aviv
+      zoom: 10,
+      mapTypeControl: true,
+      streetViewControl: false,
+      fullscreenControl: true,
+    });
+    clustererRef.current = new MarkerClusterer({ map: googleMap });
+    setMap(googleMap);
+  }, [map]);
+
+  useEffect(() => () => {
+    if (clustererRef.current) clustererRef.current.clearMarkers();
+  }, []);
+
+  // Car markers
+  useEffect(() => {
+    if (!map) return;
+    const markers = cars
+      .filter(car => car.status !== 'no_location')
+      .map(car => {
+        const isSelected = car.car_number === selectedCarNumber;
+        const marker = new window.google.maps.Marker({
+          position: { lat: car.lat, lng: car.lng },
+          title: `${carLabel(car)} · ${STATUS_LABELS[car.status]}${car.charger ? ` · ${car.distance} מ' מ${car.charger.name}` : ''}`,
+          icon: circleIcon(STATUS_COLORS[car.status], isSelected, 8),
+          zIndex: isSelected ? 3 : 1,
+        });
+        marker.addListener('click', () => handlersRef.current.onSelectCar(car.car_number));
+        return marker;
+      });
+    clustererRef.current.clearMarkers();
+    clustererRef.current.addMarkers(markers);
+
+    // Frame the whole fleet once, on the first positions
+    if (!hasFittedRef.current && (markers.length > 0 || chargers.length > 0)) {
+      const bounds = new window.google.maps.LatLngBounds();
+      markers.forEach(marker => bounds.extend(marker.getPosition()));
+      chargers.forEach(charger => bounds.extend(charger.location_geo));
+      map.fitBounds(bounds);
+      hasFittedRef.current = true;
+    }
+  }, [map, cars, chargers, selectedCarNumber]);
+
+  // Charger markers
+  useEffect(() => {
+    if (!map) return;
+    const markers = chargers.map(charger => {
+      const isSelected = charger.id === selectedChargerId;
+      const marker = new window.google.maps.Marker({
+        position: charger.location_geo,
+        map,
+        title: `${charger.name} - ${charger.address}`,
+        zIndex: isSelected ? 1000002 : 1000001,
+        icon: {
+          ...circleIcon(CHARGER_COLOR, isSelected, 9),
+          path: 'M -1,-1 1,-1 1,1 -1,1 z',
+        },
+      });
+      marker.addListener('click', () => handlersRef.current.onSelectCharger(charger.id));
+      return marker;
+    });
+    return () => markers.forEach(marker => marker.setMap(null));
+  }, [map, chargers, selectedChargerId]);
+
+  return <div ref={mapRef} className="w-full h-[32rem] rounded-xl" />;
+};
+
+export default FleetMap;
@@ -0,0 +1,203 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, Calendar as CalendarIcon, FileDown, FileText, Search } from 'lucide-react';
+import { describeApiError } from './api';
+import { loadChargingReport } from './chargingReportLoader';
+import { isIsoDate } from './dates';
+import { downloadFile, toCsv } from './download';
+import ApiError from './ApiError';
+
+// Keeps each /reports/cars/charging request to a reasonable number of cars
+const BATCH_SIZE = 20;
+
+const carLabel = (car) => `${car.brand || ''} ${car.model || ''} (${car.car_number})`.trim();
+
+// The API returns one array of sessions per requested car, in request order.
+const fetchChargingBatch = async (carNumbers, dateRange) => {
+  const data = await loadChargingReport({ carNumbers, dateFrom: dateRange.from, dateTo: dateRange.to });
+  return carNumbers.map((carNumber, i) => ({ carNumber, sessions: data[i] || [] }));
+};
+
+// Charging sessions for any number of cars, fetched in batches: [{ carNumber, sessions }]
+export const fetchFleetCharging = async (carNumbers, dateRange) => {
+  const results = [];
+  for (let i = 0; i < carNumbers.length; i += BATCH_SIZE) {
+    results.push(...await fetchChargingBatch(carNumbers.slice(i, i + BATCH_SIZE), dateRange));
+  }
+  return results;
+};
+
+export const sumSessions = (sessions) => sessions.reduce((acc, item) => ({
+  count: acc.count + 1,
+  kw: acc.kw + (Number(item.total_kw) || 0),
+  price: acc.price + (Number(item.total_price) || 0),
+}), { count: 0, kw: 0, price: 0 });
+
+// Fleet Charging Report Screen Component
+const FleetReport = ({ cars, onBack }) => {
+  const [selectedCarNumbers, setSelectedCarNumbers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [dateRange, setDateRange] = useState({
+      from: new Date(new Date().setMonth(new Date().getMonth() - 1)).toISOString().split('T')[0],
+      to: new Date().toISOString().split('T')[0]
+  });
+  const [report, setReport] = useState(null); // [{ car, sessions, totals }]
+  const [isLoading, setIsLoading] = useState(false);
+  const [apiError, setApiError] = useState(null);
+
+  const filteredCars = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return term ? cars.filter(c => carLabel(c).toLowerCase().includes(term)) : cars;
+  }, [cars, search]);
+
+  const allSelected = cars.length > 0 && selectedCarNumbers.length === cars.length;
+
+  const toggleCar = (carNumber) => {
+    setSelectedCarNumbers(prev => prev.includes(carNumber) ? prev.filter(n => n !== carNumber) : [...prev, carNumber]);
+  };
+
+  const toggleAll = () => {
+    setSelectedCarNumbers(allSelected ? [] : cars.map(c => c.car_number));
+  };
+
+  const isDateRangeValid = isIsoDate(dateRange.from) && isIsoDate(dateRange.to) && dateRange.from <= dateRange.to;
+
+  const generateReport = async () => {
+    if (!isDateRangeValid) return;
+    setIsLoading(true);
+    setApiError(null);
+    setReport(null);
+    try {
+      const results = await fetchFleetCharging(selectedCarNumbers, dateRange);
+      setReport(results.map(({ carNumber, sessions }) => ({
+        car: cars.find(c => c.car_number === carNumber) || { car_number: carNumber },
+        sessions,
+        totals: sumSessions(sessions),
+      })));
+    } catch (error) {
+      console.error('Error fetching fleet charging report:', error);
+      setApiError(describeApiError(error, 'שגיאה בטעינת דוח הטעינות של הצי.'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const grandTotal = useMemo(() => report && report.reduce((acc, r) => ({
+    count: acc.count + r.totals.count,
+    kw: acc.kw + r.totals.kw,
+    price: acc.price + r.totals.price,
+  }), { count: 0, kw: 0, price: 0 }), [report]);
+
+  const exportCsv = () => {
+    const headers = ["מספר רכב", "רכב", "תאריך התחלה", "תאריך סיום", "משך", "סה\"כ קוט\"ש", "עלות", "מיקום", "מרחק מהעמדה (מ')"];
+    const rows = report.flatMap(({ car, sessions }) => sessions.map(item => [
+      car.car_number, `${car.brand || ''} ${car.model || ''}`.trim(), item.datetime_start, item.datetime_end, item.duration, item.total_kw, item.total_price, item.location_name, item.distance
+    ]));
+    downloadFile(toCsv(headers, rows), `fleet_charging_${dateRange.from}_${dateRange.to}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">דוח טעינות צי</h2>
+          <p className="text-gray-500">טעינות של מספר רכבים בטווח תאריכים, עם סיכום לכל רכב</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        <div className="lg:col-span-1 p-4 bg-gray-50 rounded-lg space-y-3">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute right-3 top-3" />
+            <input type="text" value={search} onChange={e => setSearch(e.target.value)} placeholder="חיפוש רכב" className="w-full border border-gray-300 rounded-md p-2 pr-9 text-sm" />
+          </div>
+          <label className="flex items-center text-sm font-semibold text-gray-700">
+            <input type="checkbox" checked={allSelected} onChange={toggleAll} className="ml-2" />
+            {`כל הרכבים (${selectedCarNumbers.length}/${cars.length})`}
+          </label>
+          <div className="max-h-64 overflow-y-auto space-y-1 border-t pt-2">
+            {filteredCars.map(car => (
+              <label key={car.car_number} className="flex items-center text-sm text-gray-700">
+                <input type="checkbox" checked={selectedCarNumbers.includes(car.car_number)} onChange={() => toggleCar(car.car_number)} className="ml-2" />
+                {carLabel(car)}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 p-4 bg-gray-50 rounded-lg flex flex-col md:flex-row justify-between items-center gap-4 self-start">
+          <div className="flex items-center gap-4 flex-wrap">
+            <CalendarIcon className="w-5 h-5 text-gray-500"/>
+            <input type="date" value={dateRange.from} onChange={e => setDateRange({...dateRange, from: e.target.value})} className="border-gray-300 rounded-md p-2"/>
+            <span className="text-gray-500">-</span>
+            <input type="date" value={dateRange.to} onChange={e => setDateRange({...dateRange, to: e.target.value})} className="border-gray-300 rounded-md p-2"/>
+          </div>
+          <div className="flex items-center gap-3">
+            <button onClick={generateReport} disabled={selectedCarNumbers.length === 0 || !isDateRangeValid || isLoading} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400">
+              <FileText className="w-5 h-5 ml-2" />
+              {isLoading ? 'מפיק דוח...' : 'הפק דוח'}
+            </button>
+            <button onClick={exportCsv} disabled={!report || grandTotal.count === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+              <FileDown className="w-5 h-5 ml-2" />
+              CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {apiError && <ApiError message={apiError} />}
+
+      <div className="overflow-x-auto">
+        {!report && !isLoading && !apiError && (
+          <p className="text-center py-8 text-gray-500">בחר רכבים וטווח תאריכים ולחץ "הפק דוח".</p>
+        )}
+        {report && grandTotal.count === 0 && (
+          <p className="text-center py-8 text-gray-500">לא נמצאו רשומות טעינה עבור הרכבים והתאריכים שנבחרו.</p>
+        )}
+        {report && grandTotal.count > 0 && (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-100">
+              <tr>
+                {["רכב", "תאריך התחלה", "משך", "אנרגיה (קוט\"ש)", "עלות", "מיקום", "מרחק (מ')"].map(header => (
+                  <th key={header} scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            {report.filter(r => r.sessions.length > 0).map(({ car, sessions, totals }) => (
+              <tbody key={car.car_number} className="bg-white divide-y divide-gray-200">
+                {sessions.map((item, index) => (
+                  <tr key={index} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{car.car_number}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.datetime_start}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.duration}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{Number(item.total_kw).toFixed(2)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">₪{Number(item.total_price).toFixed(2)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.location_name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.distance}</td>
+                  </tr>
+                ))}
+                <tr className="bg-blue-50 font-semibold">
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-blue-900" colSpan={3}>{`סה"כ ${carLabel(car)} · ${totals.count} טעינות`}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-blue-900">{totals.kw.toFixed(2)}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-blue-900" colSpan={3}>₪{totals.price.toFixed(2)}</td>
+                </tr>
+              </tbody>
+            ))}
+            <tfoot className="bg-gray-800 text-white font-bold">
+              <tr>
+                <td className="px-6 py-3 whitespace-nowrap text-sm" colSpan={3}>{`סה"כ כללי · ${grandTotal.count} טעינות`}</td>
+                <td className="px-6 py-3 whitespace-nowrap text-sm">{grandTotal.kw.toFixed(2)}</td>
+                <td className="px-6 py-3 whitespace-nowrap text-sm" colSpan={3}>₪{grandTotal.price.toFixed(2)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FleetReport;
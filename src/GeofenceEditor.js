@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Wrapper, Status } from '@googlemaps/react-wrapper';
+import { Trash2 } from 'lucide-react';
+import { GOOGLE_MAPS_API_KEY, GOOGLE_MAPS_OPTIONS } from './config';
+
+const pathToPoints = (path) => path.getArray().map(latLng => ({ lat: latLng.lat(), lng: latLng.lng() }));
+
+const pointsToText = (points) => points.map(p => `${p.lat}, ${p.lng}`).join('\n');
+
+// Parses one "lat, lng" pair per line. Returns null while the text isn't valid yet.
+const textToPoints = (text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const points = lines.map(line => {
+    const [lat, lng] = line.split(/[,\s]+/).map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  });
+  return points.includes(null) ? null : points;
+};
+
+// Map canvas for drawing a charger polygon: click the map to add a vertex,
+// drag vertices to adjust them, right-click a vertex to remove it.
+const PolygonMap = ({ center, radius, polygon, onChange }) => {
+  const mapRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const overlaysRef = useRef({ polygon: null, marker: null, circle: null });
+  const lastEmittedRef = useRef(polygon);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  // The map is built once; later changes reach it through the effects below
+  const latestRef = useRef({ center, radius, polygon });
+  latestRef.current = { center, radius, polygon };
+
+  useEffect(() => {
+    if (mapRef.current && !map) {
+      const { center, radius, polygon } = latestRef.current;
+      const googleMap = new window.google.maps.Map(mapRef.current, {
+        center,
+        zoom: 17,
+        mapTypeId: 'hybrid',
+        streetViewControl: false,
+        draggableCursor: 'crosshair',
+      });
+
+      const polygonOverlay = new window.google.maps.Polygon({
+        map: googleMap,
+        paths: polygon || [],
+        editable: true,
+        strokeColor: '#2563EB',
+        strokeWeight: 2,
+        fillColor: '#2563EB',
+        fillOpacity: 0.2,
+      });
+
+      const emit = () => {
+        const points = pathToPoints(polygonOverlay.getPath());
+        lastEmittedRef.current = points;
+        onChangeRef.current(points);
+      };
+      const watchPath = (path) => {
+        ['insert_at', 'set_at', 'remove_at'].forEach(event => path.addListener(event, emit));
+      };
+      watchPath(polygonOverlay.getPath());
+
+      googleMap.addListener('click', (e) => polygonOverlay.getPath().push(e.latLng));
+      polygonOverlay.addListener('rightclick', (e) => {
+        if (e.vertex != null) polygonOverlay.getPath().removeAt(e.vertex);
+      });
+
+      overlaysRef.current = {
+        polygon: polygonOverlay,
+        marker: new window.google.maps.Marker({ map: googleMap, position: center, clickable: false }),
+        circle: new window.google.maps.Circle({
+          map: googleMap,
+          center,
+          radius,
+          clickable: false,
+          strokeColor: '#10B981',
+          strokeOpacity: 0.6,
+          strokeWeight: 1,
+          fillOpacity: 0,
+        }),
+      };
+      overlaysRef.current.watchPath = watchPath;
+      setMap(googleMap);
+    }
+  }, [mapRef, map]);
+
+  // Follow the charger point and radius as they are edited in the form
+  useEffect(() => {
+    if (!map) return;
+    map.panTo(center);
+    overlaysRef.current.marker.setPosition(center);
+    overlaysRef.current.circle.setCenter(center);
+    overlaysRef.current.circle.setRadius(radius);
+  }, [map, center, radius]);
+
+  // Replace the drawn path when the polygon changes from outside the map (clear, text edit, reset)
+  useEffect(() => {
+    if (!map || polygon === lastEmittedRef.current) return;
+    lastEmittedRef.current = polygon;
+    overlaysRef.current.polygon.setPath(polygon || []);
+    overlaysRef.current.watchPath(overlaysRef.current.polygon.getPath());
+  }, [map, polygon]);
+
+  return <div ref={mapRef} style={{ width: '100%', height: '320px', borderRadius: '0.5rem' }} />;
+};
+
+// Geofence Editor Component - polygon drawing on the map, with a coordinate list as fallback
+const GeofenceEditor = ({ center, radius, polygon, onChange }) => {
+  const [text, setText] = useState(pointsToText(polygon || []));
+  const textRef = useRef(text);
+  textRef.current = text;
+  const points = polygon || [];
+
+  // Keep the text in sync when the polygon is drawn on the map. Text that already describes the
+  // polygon is left as typed, so editing the list doesn't reformat it under the cursor.
+  useEffect(() => {
+    const drawn = pointsToText(polygon || []);
+    const parsed = textToPoints(textRef.current);
+    if (!parsed || pointsToText(parsed) !== drawn) setText(drawn);
+  }, [polygon]);
+
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    const parsed = textToPoints(e.target.value);
+    if (parsed) onChange(parsed);
+  };
+
+  const validCenter = Number.isFinite(center.lat) && Number.isFinite(center.lng);
+
+  const render = (status) => {
+    if (status === Status.FAILURE) return <p className="text-sm text-red-600">שגיאה בטעינת המפה. ניתן להזין נקודות ידנית.</p>;
+    if (status === Status.LOADING) return <p className="text-sm text-gray-500">טוען מפה...</p>;
+    return <PolygonMap center={center} radius={radius} polygon={polygon} onChange={onChange} />;
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="block text-sm font-medium text-gray-600">
+          גדר פוליגון {points.length > 0 && <span className="text-gray-400">({points.length} נקודות)</span>}
+        </span>
+        {points.length > 0 && (
+          <button type="button" onClick={() => onChange([])} className="flex items-center text-sm text-red-600 hover:text-red-800">
+            <Trash2 className="w-4 h-4 ml-1" /> נקה
+          </button>
+        )}
+      </div>
+      {GOOGLE_MAPS_API_KEY && validCenter && (
+        <>
+          <Wrapper apiKey={GOOGLE_MAPS_API_KEY} render={render} {...GOOGLE_MAPS_OPTIONS} />
+          <p className="text-xs text-gray-500">לחץ על המפה להוספת נקודה, גרור נקודה להזזה, לחיצה ימנית על נקודה למחיקה.</p>
+        </>
+      )}
+      <textarea
+        value={text}
+        onChange={handleTextChange}
+        rows={4}
+        dir="ltr"
+        placeholder="32.16165, 34.93400"
+        className="w-full border border-gray-300 rounded-md p-2 text-xs font-mono focus:outline-none focus:border-blue-500"
+      />
+      <p className="text-xs text-gray-500">ללא פוליגון, האימות מתבצע לפי רדיוס סביב העמדה.</p>
+    </div>
+  );
+};
+
+export default GeofenceEditor;
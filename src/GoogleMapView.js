@@ -0,0 +1,272 @@
+import React from 'react';
+import { Wrapper, Status } from '@googlemaps/react-wrapper';
+import { XCircle } from 'lucide-react';
+import { hasPolygon } from './geo';
+import { GOOGLE_MAPS_API_KEY, GOOGLE_MAPS_OPTIONS } from './config';
+import { getPositionFix } from './positionFix';
+
+// Google Map Component
+const GoogleMap = ({ carDetails, charger, radius, trail = [] }) => {
+  const mapRef = React.useRef(null);
+  const [map, setMap] = React.useState(null);
+  const markersRef = React.useRef({ car: null, accuracyCircle: null, charger: null, radiusCircle: null, polygon: null, trail: null });
+  const infoWindowsRef = React.useRef({ car: null, charger: null });
+
+  React.useEffect(() => {
+    if (mapRef.current && !map) {
+      // Center map on Israel (Tel Aviv area) as default
+      const center = carDetails && charger 
+        ? { lat: (carDetails.lat + charger.location_geo.lat) / 2, lng: (carDetails.lng + charger.location_geo.lng) / 2 }
+        : { lat: 32.0853, lng: 34.7818 }; // Tel Aviv
+
+      const googleMap = new window.google.maps.Map(mapRef.current, {
+        center,
+        zoom: carDetails && charger ? 15 : 10,
+        language: 'he', // Hebrew language
+        region: 'IL', // Israel region
+        mapTypeControl: true,
+        streetViewControl: true,
+        fullscreenControl: true,
+        styles: [
+          {
+            featureType: "all",
+            elementType: "labels.text",
+            stylers: [
+              { visibility: "on" }
+            ]
+          }
+        ]
+      });
+
+      infoWindowsRef.current = {
+        car: new window.google.maps.InfoWindow(),
+        charger: new window.google.maps.InfoWindow(),
+      };
+
+      setMap(googleMap);
+    }
+  }, [mapRef, map]);
+
+  // Charger marker and radius circle - recreated when the charger or radius changes
+  React.useEffect(() => {
+    if (!map || !charger) return;
+    if (markersRef.current.charger) markersRef.current.charger.setMap(null);
+    if (markersRef.current.radiusCircle) markersRef.current.radiusCircle.setMap(null);
+    if (markersRef.current.polygon) markersRef.current.polygon.setMap(null);
+    const usesPolygon = hasPolygon(charger);
+
+    const chargerMarker = new window.google.maps.Marker({
+      position: charger.location_geo,
+      map: map,
+      title: `${charger.name} - ${charger.address}`,
+      icon: {
+        path: window.google.maps.SymbolPath.CIRCLE,
+        scale: 10,
+        fillColor: '#F59E0B',
+        fillOpacity: 1,
+        strokeColor: '#D97706',
+        strokeWeight: 3,
+      }
+    });
+
+    // With a polygon geofence the circle is only a faint reference, since it no longer decides
+    const radiusCircle = new window.google.maps.Circle({
+      strokeColor: '#10B981',
+      strokeOpacity: usesPolygon ? 0.4 : 0.8,
+      strokeWeight: usesPolygon ? 1 : 2,
+      fillColor: '#10B981',
+      fillOpacity: usesPolygon ? 0 : 0.15,
+      map: map,
+      center: charger.location_geo,
+      radius: radius, // radius in meters
+    });
+
+    const polygon = usesPolygon ? new window.google.maps.Polygon({
+      paths: charger.polygon,
+      strokeColor: '#10B981',
+      strokeOpacity: 0.9,
+      strokeWeight: 2,
+      fillColor: '#10B981',
+      fillOpacity: 0.2,
+      map: map,
+    }) : null;
+
+    infoWindowsRef.current.charger.setContent(`
+      <div style="direction: rtl; font-family: Arial; min-width: 200px;">
+        <h3 style="color: #D97706; margin: 0 0 10px 0;">🔌 ${charger.name}</h3>
+        <p style="margin: 5px 0;"><strong>כתובת:</strong> ${charger.address}</p>
+        <p style="margin: 5px 0;"><strong>מיקום:</strong> ${charger.location_geo.lat.toFixed(6)}, ${charger.location_geo.lng.toFixed(6)}</p>
+        <p style="margin: 5px 0; color: #059669;"><strong>${usesPolygon ? 'גדר אימות:' : 'רדיוס אימות:'}</strong> ${usesPolygon ? `פוליגון (${charger.polygon.length} נקודות)` : `${radius} מטר`}</p>
+      </div>
+    `);
+
+    chargerMarker.addListener('click', () => {
+      infoWindowsRef.current.car.close();
+      infoWindowsRef.current.charger.open(map, chargerMarker);
+    });
+
+    markersRef.current.charger = chargerMarker;
+    markersRef.current.radiusCircle = radiusCircle;
+    markersRef.current.polygon = polygon;
+  }, [map, charger, radius]);
+
+  // Car marker - moved in place on every position update so live tracking doesn't flicker
+  React.useEffect(() => {
+    if (!map || !carDetails) return;
+    const position = { lat: carDetails.lat, lng: carDetails.lng };
+
+    if (markersRef.current.car) {
+      markersRef.current.car.setPosition(position);
+    } else {
+      const carMarker = new window.google.maps.Marker({
+        position,
+        map: map,
+        zIndex: 2,
+        icon: {
+          path: window.google.maps.SymbolPath.CIRCLE,
+          scale: 12,
+          fillColor: '#3B82F6',
+          fillOpacity: 1,
+          strokeColor: '#1E40AF',
+          strokeWeight: 3,
+        }
+      });
+      carMarker.addListener('click', () => {
+        infoWindowsRef.current.charger.close();
+        infoWindowsRef.current.car.open(map, carMarker);
+      });
+      markersRef.current.car = carMarker;
+    }
+    markersRef.current.car.setTitle(`רכב ${carDetails.car_number}`);
+
+    // Accuracy ring - the area the car may actually be in, when the position reports it
+    const { accuracy } = getPositionFix(carDetails);
+    if (accuracy != null) {
+      if (!markersRef.current.accuracyCircle) {
+        markersRef.current.accuracyCircle = new window.google.maps.Circle({
+          strokeColor: '#3B82F6',
+          strokeOpacity: 0.6,
+          strokeWeight: 1,
+          fillColor: '#3B82F6',
+          fillOpacity: 0.1,
+          clickable: false,
+          map: map,
+        });
+      }
+      markersRef.current.accuracyCircle.setCenter(position);
+      markersRef.current.accuracyCircle.setRadius(accuracy);
+    } else if (markersRef.current.accuracyCircle) {
+      markersRef.current.accuracyCircle.setMap(null);
+      markersRef.current.accuracyCircle = null;
+    }
+
+    infoWindowsRef.current.car.setContent(`
+      <div style="direction: rtl; font-family: Arial; min-width: 200px;">
+        <h3 style="color: #1E40AF; margin: 0 0 10px 0;">🚗 רכב ${carDetails.car_number}</h3>
+        <p style="margin: 5px 0;"><strong>מיקום:</strong> ${carDetails.lat.toFixed(6)}, ${carDetails.lng.toFixed(6)}</p>
+        ${accuracy != null ? `<p style="margin: 5px 0;"><strong>דיוק:</strong> ±${Math.round(accuracy)} מטר</p>` : ''}
+        <p style="margin: 5px 0; color: #059669;"><strong>רדיוס נוכחי:</strong> ${radius} מטר</p>
+      </div>
+    `);
+  }, [map, carDetails, radius]);
+
+  // Breadcrumb trail of recent positions
+  React.useEffect(() => {
+    if (!map) return;
+    if (!markersRef.current.trail) {
+      markersRef.current.trail = new window.google.maps.Polyline({
+        map: map,
+        strokeColor: '#3B82F6',
+        strokeOpacity: 0,
+        icons: [{
+          icon: { path: 'M 0,-1 0,1', strokeOpacity: 0.7, strokeWeight: 3, scale: 3 },
+          offset: '0',
+          repeat: '12px',
+        }],
+      });
+    }
+    markersRef.current.trail.setPath(trail.map(point => ({ lat: point.lat, lng: point.lng })));
+  }, [map, trail]);
+
+  // Auto-fit map to show both markers and radius. Only refits when the car, charger or radius
+  // changes, not on every live position update, so the user can pan while tracking.
+  const carNumber = carDetails?.car_number;
+  const hasCarPosition = !!carDetails;
+  React.useEffect(() => {
+    if (!map || !hasCarPosition || !charger) return;
+    const carPosition = markersRef.current.car.getPosition();
+    const bounds = new window.google.maps.LatLngBounds();
+    bounds.extend(carPosition);
+    bounds.extend(charger.location_geo);
+    
+    // Extend bounds to include radius circle
+    const radiusInDegrees = radius / 111320; // rough conversion from meters to degrees
+    bounds.extend({
+      lat: charger.location_geo.lat + radiusInDegrees,
+      lng: charger.location_geo.lng + radiusInDegrees
+    });
+    bounds.extend({
+      lat: charger.location_geo.lat - radiusInDegrees,
+      lng: charger.location_geo.lng - radiusInDegrees
+    });
+    if (hasPolygon(charger)) charger.polygon.forEach(point => bounds.extend(point));
+    
+    map.fitBounds(bounds);
+
+    // Add some padding and ensure reasonable zoom
+    const listener = window.google.maps.event.addListener(map, 'idle', () => {
+      if (map.getZoom() > 18) map.setZoom(18);
+      if (map.getZoom() < 10) map.setZoom(10);
+      window.google.maps.event.removeListener(listener);
+    });
+  }, [map, carNumber, hasCarPosition, charger, radius]);
+
+  // Cleanup on unmount
+  React.useEffect(() => {
+    const markers = markersRef.current;
+    return () => {
+      Object.values(markers).forEach(overlay => overlay && overlay.setMap(null));
+    };
+  }, []);
+
+  return <div ref={mapRef} style={{ width: '100%', height: '400px', borderRadius: '0.75rem' }} />;
+};
+
+// Google Maps provider: loads the Maps script, then draws the map
+const GoogleMapView = (props) => {
+  const render = (status) => {
+    switch (status) {
+      case Status.LOADING:
+        return (
+          <div className="w-full h-96 bg-gray-100 rounded-xl flex items-center justify-center">
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
+              <p className="text-gray-500">טוען מפה...</p>
+            </div>
+          </div>
+        );
+      case Status.FAILURE:
+        return (
+          <div className="w-full h-96 bg-red-50 border-2 border-red-200 rounded-xl flex items-center justify-center">
+            <div className="text-center p-6">
+              <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-red-800 mb-2">שגיאה בטעינת המפה</h3>
+              <p className="text-red-700">בדוק את מפתח Google Maps API או חיבור האינטרנט, או עבור לספק מפה אחר</p>
+            </div>
+          </div>
+        );
+      default:
+        return <GoogleMap {...props} />;
+    }
+  };
+
+  return (
+    <Wrapper 
+      apiKey={GOOGLE_MAPS_API_KEY} 
+      render={render}
+      {...GOOGLE_MAPS_OPTIONS}
+    />
+  );
+};
+
+export default GoogleMapView;
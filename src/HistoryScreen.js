@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FileDown, ArrowLeft, Calendar as CalendarIcon, ShieldAlert, Table as TableIcon, BarChart3, Map as MapIcon } from 'lucide-react';
+import { describeApiError, isCancelled } from './api';
+import { loadChargingReport } from './chargingReportLoader';
+import ApiError from './ApiError';
+import { auditSessions, summarizeAudit, AUDIT_REASONS } from './chargingAudit';
+import SessionsTable from './SessionsTable';
+import useDebouncedValue from './useDebouncedValue';
+import ChargingAnalytics from './ChargingAnalytics';
+import SessionsMap from './SessionsMap';
+import { exportHistoryToXlsx, exportHistoryToCsv } from './historyExport';
+import DataFreshness from './DataFreshness';
+import { loadWithCache, CACHE_KEYS } from './offlineCache';
+
+// Date inputs change on every keystroke; the report is requested once they settle
+const DATE_RANGE_DEBOUNCE_MS = 400;
+
+const VIEWS = [
+  { key: 'table', label: 'טבלה', icon: TableIcon },
+  { key: 'map', label: 'מפה', icon: MapIcon },
+  { key: 'analytics', label: 'ניתוח', icon: BarChart3 },
+];
+
+// History Screen Component
+const HistoryScreen = ({ car, chargers, onBack, radius, dateRange, onDateRangeChange }) => {
+  const [chargingHistory, setChargingHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [apiError, setApiError] = useState(null);
+  const [progress, setProgress] = useState(null); // { loaded, total } months of a long range
+  const [freshness, setFreshness] = useState({ updatedAt: null, isRefreshing: false, refreshFailed: false });
+
+  const [view, setView] = useState('table'); // 'table', 'map' or 'analytics'
+  const [isAuditMode, setIsAuditMode] = useState(false);
+  const [auditFilter, setAuditFilter] = useState({ flaggedOnly: false, reason: '' });
+  const [highlightedIndex, setHighlightedIndex] = useState(null); // session shared between the map and the table
+
+  // Sessions seen before for this car and range show straight from the offline cache while they refresh.
+  // A newer car or range aborts the requests of the previous one, so stale responses never land.
+  const requestedRange = useDebouncedValue(dateRange, DATE_RANGE_DEBOUNCE_MS);
+  useEffect(() => {
+    if (!car) return;
+    const controller = new AbortController();
+    const isCurrent = () => !controller.signal.aborted;
+
+    const fetchHistory = async () => {
+        setIsLoading(true);
+        setApiError(null);
+        setFreshness({ updatedAt: null, isRefreshing: true, refreshFailed: false });
+        let refreshFailed = false;
+        try {
+            const fetchSessions = async () => {
+                const data = await loadChargingReport(
+                    { carNumbers: [car.car_number], dateFrom: requestedRange.from, dateTo: requestedRange.to },
+                    { signal: controller.signal, onProgress: (loaded, total) => isCurrent() && setProgress({ loaded, total }) }
+                );
+                return data[0] || [];
+            };
+            const { error } = await loadWithCache(CACHE_KEYS.history(car.car_number, requestedRange), fetchSessions, (sessions, { updatedAt }) => {
+                if (!isCurrent()) return;
+                setChargingHistory(sessions);
+                setHighlightedIndex(null);
+                setFreshness(prev => ({ ...prev, updatedAt }));
+                setIsLoading(false);
+            });
+            if (error && !isCancelled(error)) {
+                console.warn('Showing cached charging history, refresh failed:', error);
+                refreshFailed = true;
+            }
+        } catch (error) {
+            if (isCancelled(error)) return;
+            console.error('Error fetching charging history:', error);
+            if (isCurrent()) setApiError(describeApiError(error, 'שגיאה בטעינת היסטוריית הטעינות.'));
+        } finally {
+            if (isCurrent()) {
+                setIsLoading(false);
+                setProgress(null);
+                setFreshness(prev => ({ ...prev, isRefreshing: false, refreshFailed }));
+            }
+        }
+    };
+    
+    fetchHistory();
+    return () => controller.abort();
+  }, [car, requestedRange]);
+  
+  const auditedSessions = useMemo(
+    () => auditSessions(chargingHistory, { chargers, radius, batteryCapacity: car.battery_capacity }),
+    [chargingHistory, chargers, radius, car]
+  );
+  const auditSummary = useMemo(() => summarizeAudit(auditedSessions), [auditedSessions]);
+
+  const visibleSessions = !isAuditMode ? auditedSessions : auditedSessions
+    .filter(s => !auditFilter.flaggedOnly || s.reasons.length > 0)
+    .filter(s => !auditFilter.reason || s.reasons.some(r => r.code === auditFilter.reason));
+
+  // The map view shows the table under the map, and the two highlight each other
+  const showTable = view === 'table' || view === 'map';
+
+  const exportToExcel = () => {
+    exportHistoryToXlsx(chargingHistory, { car, radius, dateRange });
+  };
+
+  const exportToCsv = () => {
+    exportHistoryToCsv(chargingHistory, { car });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+            <h2 className="text-2xl font-bold text-gray-800">היסטוריית טעינות</h2>
+            <p className="text-gray-500">{`רכב: ${car.brand || ''} ${car.model || ''} (${car.car_number})`}</p>
+            <DataFreshness {...freshness} />
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+      
+      <div className="flex flex-col md:flex-row justify-between items-center gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
+        <div className="flex items-center gap-4 flex-wrap">
+          <CalendarIcon className="w-5 h-5 text-gray-500"/>
+          <input type="date" value={dateRange.from} onChange={e => onDateRangeChange({...dateRange, from: e.target.value})} className="border-gray-300 rounded-md p-2"/>
+          <span className="text-gray-500">-</span>
+          <input type="date" value={dateRange.to} onChange={e => onDateRangeChange({...dateRange, to: e.target.value})} className="border-gray-300 rounded-md p-2"/>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={() => setIsAuditMode(!isAuditMode)} disabled={chargingHistory.length === 0} className={`flex items-center font-semibold py-2 px-4 rounded-lg transition-colors disabled:bg-gray-400 disabled:text-white ${isAuditMode ? 'bg-orange-600 text-white hover:bg-orange-700' : 'bg-orange-100 text-orange-800 hover:bg-orange-200'}`}>
+            <ShieldAlert className="w-5 h-5 ml-2" />
+            {isAuditMode ? 'סגור ביקורת' : 'מצב ביקורת'}
+          </button>
+          <button onClick={exportToExcel} disabled={chargingHistory.length === 0} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            ייצוא ל-Excel
+          </button>
+          <button onClick={exportToCsv} disabled={chargingHistory.length === 0} title="ייצוא CSV" className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors disabled:bg-gray-100 disabled:text-gray-400">
+            CSV
+          </button>
+        </div>
+      </div>
+
+      {!isLoading && !apiError && chargingHistory.length > 0 && (
+        <div className="flex items-center gap-2 mb-6 border-b">
+          {VIEWS.map(({ key, label, icon: Icon }) => (
+            <button key={key} onClick={() => setView(key)} className={`flex items-center py-2 px-4 -mb-px border-b-2 font-semibold transition-colors ${view === key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}>
+              <Icon className="w-4 h-4 ml-2" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {view === 'analytics' && !isLoading && !apiError && chargingHistory.length > 0 && (
+        <ChargingAnalytics sessions={chargingHistory} radius={radius} />
+      )}
+
+      {view === 'map' && !isLoading && !apiError && chargingHistory.length > 0 && (
+        <SessionsMap sessions={visibleSessions} chargers={chargers} radius={radius} highlightedIndex={highlightedIndex} onSelect={setHighlightedIndex} />
+      )}
+
+      {showTable && isAuditMode && !isLoading && !apiError && chargingHistory.length > 0 && (
+        <AuditSummary summary={auditSummary} filter={auditFilter} onFilterChange={setAuditFilter} />
+      )}
+
+      <div className="overflow-x-auto">
+        {isLoading && (
+          <p className="text-center py-8 text-gray-500">
+            {progress && progress.total > 1 ? `טוען היסטוריה... (${progress.loaded} מתוך ${progress.total} חודשים)` : 'טוען היסטוריה...'}
+          </p>
+        )}
+        {apiError && !isLoading && <ApiError message={apiError} />}
+        {!isLoading && !apiError && chargingHistory.length === 0 && (
+          <p className="text-center py-8 text-gray-500">לא נמצאו רשומות טעינה עבור הרכב והתאריכים שנבחרו.</p>
+        )}
+        {showTable && !isLoading && !apiError && chargingHistory.length > 0 && visibleSessions.length === 0 && (
+          <p className="text-center py-8 text-gray-500">אין טעינות התואמות לסינון הביקורת.</p>
+        )}
+        {showTable && !isLoading && !apiError && visibleSessions.length > 0 && (
+          <SessionsTable
+            sessions={visibleSessions}
+            radius={radius}
+            isAuditMode={isAuditMode}
+            highlightedIndex={highlightedIndex}
+            onSelect={setHighlightedIndex}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Audit Summary Component - counts per rule double as filters
+const AuditSummary = ({ summary, filter, onFilterChange }) => (
+  <div className="mb-6 p-4 bg-orange-50 border border-orange-200 rounded-lg space-y-4">
+    <div className="flex flex-wrap items-center justify-between gap-4">
+      <div>
+        <h3 className="text-lg font-semibold text-orange-900">{`${summary.flagged} מתוך ${summary.total} טעינות סומנו כחשודות`}</h3>
+        <p className="text-sm text-orange-800">{`סה"כ בטעינות החשודות: ${summary.flaggedKw.toFixed(2)} קוט"ש · ₪${summary.flaggedPrice.toFixed(2)}`}</p>
+      </div>
+      <label className="flex items-center text-sm text-gray-700">
+        <input type="checkbox" checked={filter.flaggedOnly} onChange={e => onFilterChange({ ...filter, flaggedOnly: e.target.checked })} className="ml-2" />
+        הצג רק טעינות חשודות
+      </label>
+    </div>
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+      {Object.entries(AUDIT_REASONS).map(([code, label]) => (
+        <button
+          key={code}
+          onClick={() => onFilterChange({ ...filter, reason: filter.reason === code ? '' : code })}
+          className={`text-right p-3 rounded-lg border transition-colors ${filter.reason === code ? 'bg-orange-600 border-orange-600 text-white' : 'bg-white border-orange-200 text-gray-700 hover:bg-orange-100'}`}
+        >
+          <span className="block text-2xl font-bold">{summary.byReason[code]}</span>
+          <span className="block text-xs">{label}</span>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default HistoryScreen;
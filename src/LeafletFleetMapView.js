@@ -0,0 +1,83 @@
+import React, { useRef, useEffect, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+import { MAP_TILE_URL } from './config';
+import { STATUS_LABELS } from './FleetCheck';
+import { carLabel } from './carSearch';
+
+const ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>';
+
+const STATUS_COLORS = { approved: '#10B981', denied: '#EF4444', no_chargers: '#6B7280' };
+const CHARGER_COLOR = '#F59E0B';
+const SELECTED_STROKE = '#1E3A8A';
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const markerStyle = (color, isSelected, radius) => ({
+  radius: isSelected ? radius + 4 : radius,
+  color: isSelected ? SELECTED_STROKE : '#FFFFFF',
+  weight: isSelected ? 3 : 2,
+  fillColor: color,
+  fillOpacity: 1,
+});
+
+// Leaflet/OpenStreetMap fleet overview - needs no API key. Same props and behaviour as the Google
+// overview in FleetMap: cars are clustered, chargers are few and always drawn individually on top,
+// and the view frames the whole fleet once, on the first positions.
+const LeafletFleetMapView = ({ cars, chargers, selectedCarNumber, selectedChargerId, onSelectCar, onSelectCharger }) => {
+  const containerRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const clusterRef = useRef(null);
+  const hasFittedRef = useRef(false);
+  // Marker listeners outlive renders, so they call the latest handlers through a ref
+  const handlersRef = useRef({ onSelectCar, onSelectCharger });
+  handlersRef.current = { onSelectCar, onSelectCharger };
+
+  useEffect(() => {
+    const leafletMap = L.map(containerRef.current, { center: [32.0853, 34.7818], zoom: 10 }); // Tel Aviv
+    L.tileLayer(MAP_TILE_URL, { attribution: ATTRIBUTION, maxZoom: 19 }).addTo(leafletMap);
+    clusterRef.current = L.markerClusterGroup({ showCoverageOnHover: false }).addTo(leafletMap);
+    setMap(leafletMap);
+    return () => leafletMap.remove();
+  }, []);
+
+  // Car markers, clustered
+  useEffect(() => {
+    if (!map) return;
+    const located = cars.filter(car => car.status !== 'no_location');
+    clusterRef.current.clearLayers();
+    clusterRef.current.addLayers(located.map(car => {
+      const isSelected = car.car_number === selectedCarNumber;
+      return L.circleMarker([car.lat, car.lng], markerStyle(STATUS_COLORS[car.status], isSelected, 8))
+        .bindTooltip(escapeHtml(`${carLabel(car)} · ${STATUS_LABELS[car.status]}${car.charger ? ` · ${car.distance} מ' מ${car.charger.name}` : ''}`))
+        .on('click', () => handlersRef.current.onSelectCar(car.car_number));
+    }));
+
+    if (!hasFittedRef.current && (located.length > 0 || chargers.length > 0)) {
+      const points = [...located.map(car => [car.lat, car.lng]), ...chargers.map(c => [c.location_geo.lat, c.location_geo.lng])];
+      map.fitBounds(L.latLngBounds(points), { padding: [30, 30], maxZoom: 16 });
+      hasFittedRef.current = true;
+    }
+  }, [map, cars, chargers, selectedCarNumber]);
+
+  // Charger markers, in a pane above the cars
+  useEffect(() => {
+    if (!map) return;
+    if (!map.getPane('chargers')) map.createPane('chargers').style.zIndex = 650;
+    const group = L.layerGroup(chargers.map(charger => {
+      const isSelected = charger.id === selectedChargerId;
+      return L.circleMarker([charger.location_geo.lat, charger.location_geo.lng], { ...markerStyle(CHARGER_COLOR, isSelected, 9), pane: 'chargers' })
+        .bindTooltip(escapeHtml(`${charger.name} - ${charger.address}`))
+        .on('click', () => handlersRef.current.onSelectCharger(charger.id));
+    })).addTo(map);
+    return () => group.remove();
+  }, [map, chargers, selectedChargerId]);
+
+  // Leaflet positions tiles left-to-right and breaks inside an RTL container
+  return <div ref={containerRef} dir="ltr" className="w-full h-[32rem] rounded-xl" />;
+};
+
+export default LeafletFleetMapView;
@@ -0,0 +1,100 @@
+import React, { useRef, useEffect, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { hasPolygon } from './geo';
+import { MAP_TILE_URL } from './config';
+import { getPositionFix } from './positionFix';
+
+const ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>';
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+// Leaflet/OpenStreetMap provider - needs no API key. Mirrors the Google map: the charger and its
+// geofence are redrawn when they change, the car marker moves in place, and the view refits
+// only when the car, charger or radius changes.
+const LeafletMapView = ({ carDetails, charger, radius, trail = [] }) => {
+  const containerRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const layersRef = useRef({ charger: null, car: null, accuracy: null, trail: null });
+
+  useEffect(() => {
+    const leafletMap = L.map(containerRef.current, { center: [32.0853, 34.7818], zoom: 10 }); // Tel Aviv
+    L.tileLayer(MAP_TILE_URL, { attribution: ATTRIBUTION, maxZoom: 19 }).addTo(leafletMap);
+    setMap(leafletMap);
+    return () => leafletMap.remove();
+  }, []);
+
+  // Charger marker, radius circle and polygon
+  useEffect(() => {
+    if (!map || !charger) return;
+    const usesPolygon = hasPolygon(charger);
+    const group = L.layerGroup([
+      // With a polygon geofence the circle is only a faint reference, since it no longer decides
+      L.circle(charger.location_geo, {
+        radius,
+        color: '#10B981',
+        opacity: usesPolygon ? 0.4 : 0.8,
+        weight: usesPolygon ? 1 : 2,
+        fillOpacity: usesPolygon ? 0 : 0.15,
+      }),
+      ...(usesPolygon ? [L.polygon(charger.polygon, { color: '#10B981', weight: 2, fillOpacity: 0.2 })] : []),
+      L.circleMarker(charger.location_geo, { radius: 10, color: '#D97706', weight: 3, fillColor: '#F59E0B', fillOpacity: 1 })
+        .bindPopup(`
+          <div style="direction: rtl; min-width: 200px;">
+            <strong style="color: #D97706;">${escapeHtml(charger.name)}</strong><br/>
+            ${escapeHtml(charger.address)}<br/>
+            ${usesPolygon ? `גדר אימות: פוליגון (${charger.polygon.length} נקודות)` : `רדיוס אימות: ${radius} מטר`}
+          </div>
+        `),
+    ]).addTo(map);
+    layersRef.current.charger = group;
+    return () => group.remove();
+  }, [map, charger, radius]);
+
+  // Car marker
+  useEffect(() => {
+    if (!map || !carDetails) return;
+    const position = [carDetails.lat, carDetails.lng];
+    if (layersRef.current.car) {
+      layersRef.current.car.setLatLng(position);
+    } else {
+      layersRef.current.car = L.circleMarker(position, { radius: 12, color: '#1E40AF', weight: 3, fillColor: '#3B82F6', fillOpacity: 1 }).addTo(map);
+    }
+    // Accuracy ring - the area the car may actually be in, when the position reports it
+    const { accuracy } = getPositionFix(carDetails);
+    if (accuracy != null) {
+      if (layersRef.current.accuracy) {
+        layersRef.current.accuracy.setLatLng(position).setRadius(accuracy);
+      } else {
+        layersRef.current.accuracy = L.circle(position, { radius: accuracy, color: '#3B82F6', weight: 1, dashArray: '4 4', fillOpacity: 0.1, interactive: false }).addTo(map);
+      }
+    } else if (layersRef.current.accuracy) {
+      layersRef.current.accuracy.remove();
+      layersRef.current.accuracy = null;
+    }
+    layersRef.current.car.bindPopup(`<div style="direction: rtl;"><strong>רכב ${escapeHtml(carDetails.car_number)}</strong><br/>${carDetails.lat.toFixed(6)}, ${carDetails.lng.toFixed(6)}</div>`);
+  }, [map, carDetails]);
+
+  // Breadcrumb trail of recent positions
+  useEffect(() => {
+    if (!map) return;
+    if (!layersRef.current.trail) {
+      layersRef.current.trail = L.polyline([], { color: '#3B82F6', weight: 3, opacity: 0.7, dashArray: '6 8' }).addTo(map);
+    }
+    layersRef.current.trail.setLatLngs(trail.map(point => [point.lat, point.lng]));
+  }, [map, trail]);
+
+  const carNumber = carDetails?.car_number;
+  const hasCarPosition = !!carDetails;
+  useEffect(() => {
+    if (!map || !hasCarPosition || !charger) return;
+    const bounds = L.latLng(charger.location_geo).toBounds(radius * 2).extend(layersRef.current.car.getLatLng());
+    if (hasPolygon(charger)) charger.polygon.forEach(point => bounds.extend(point));
+    map.fitBounds(bounds, { padding: [30, 30], maxZoom: 18 });
+  }, [map, carNumber, hasCarPosition, charger, radius]);
+
+  // Leaflet positions tiles left-to-right and breaks inside an RTL container
+  return <div ref={containerRef} dir="ltr" style={{ width: '100%', height: '400px', borderRadius: '0.75rem' }} />;
+};
+
+export default LeafletMapView;
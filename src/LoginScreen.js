@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { LogIn } from 'lucide-react';
+import { verifyToken, UnauthorizedError } from './api';
+import { saveSession } from './session';
+
+// Login Screen Component - each dispatcher signs in with their own API token
+const LoginScreen = ({ notice, onLogin }) => {
+  const [name, setName] = useState('');
+  const [token, setToken] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsVerifying(true);
+    setError(null);
+    try {
+      await verifyToken(token.trim());
+      onLogin(saveSession({ name, token }));
+    } catch (err) {
+      console.error('Login failed:', err);
+      setError(err instanceof UnauthorizedError ? 'הטוקן שהוזן אינו חוקי או שפג תוקפו.' : err.message || 'לא ניתן היה לאמת את הטוקן. אנא נסה שוב.');
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 min-h-screen font-sans text-gray-800 flex items-center justify-center p-4" dir="rtl">
+      <form onSubmit={handleSubmit} className="bg-white p-8 rounded-xl shadow-md w-full max-w-md space-y-5">
+        <div className="flex items-center space-x-4 space-x-reverse">
+          <div className="bg-blue-500 text-white font-bold text-2xl rounded-md p-2">A</div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">ADVICE</h1>
+            <p className="text-sm text-gray-500">כניסת סדרן</p>
+          </div>
+        </div>
+
+        {notice && <p className="bg-yellow-50 border-l-4 border-yellow-400 text-yellow-800 p-3 rounded-md text-sm">{notice}</p>}
+
+        <div>
+          <label htmlFor="dispatcher-name" className="block text-sm font-medium text-gray-700 mb-1">שם הסדרן</label>
+          <input id="dispatcher-name" type="text" value={name} onChange={e => setName(e.target.value)} autoComplete="username" required className="w-full border border-gray-300 rounded-md p-2" />
+        </div>
+        <div>
+          <label htmlFor="api-token" className="block text-sm font-medium text-gray-700 mb-1">טוקן API</label>
+          <input id="api-token" type="password" value={token} onChange={e => setToken(e.target.value)} autoComplete="current-password" required dir="ltr" className="w-full border border-gray-300 rounded-md p-2" />
+          <p className="text-xs text-gray-500 mt-1">הטוקן נשמר בלשונית זו בלבד ונמחק עם סגירתה או ביציאה.</p>
+        </div>
+
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+
+        <button type="submit" disabled={isVerifying || !name.trim() || !token.trim()} className="w-full flex items-center justify-center bg-blue-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400">
+          <LogIn className="w-5 h-5 ml-2" />
+          {isVerifying ? 'מאמת...' : 'התחבר'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,282 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { ArrowLeft, FileDown, FileUp, Plus, Trash2, Users, BatteryCharging } from 'lucide-react';
+import { normalizeCharger, MIN_RADIUS, MAX_RADIUS } from './chargerStore';
+import { normalizePolicy, policyToJson, parsePolicyJson, createCarGroupId, WEEKDAY_LABELS } from './verificationPolicy';
+import { downloadFile } from './download';
+
+const NEW_TIME_WINDOW = { days: [0, 1, 2, 3, 4], from: '08:00', to: '18:00' };
+
+// Form state keeps numbers as typed, car numbers as free text and charger radii beside the rules
+const toDraft = (policy, chargers) => ({
+  name: policy.name,
+  minDwellMinutes: policy.minDwellMinutes || '',
+  chargers: Object.fromEntries(chargers.map(charger => {
+    const rule = policy.chargers[charger.id];
+    return [charger.id, {
+      radius: charger.radius,
+      timeWindows: rule?.timeWindows || [],
+      minDwellMinutes: rule?.minDwellMinutes ?? '',
+    }];
+  })),
+  carGroups: policy.carGroups.map(group => ({
+    ...group,
+    carNumbers: group.carNumbers.join(', '),
+    radius: group.radius ?? '',
+    minDwellMinutes: group.minDwellMinutes ?? '',
+  })),
+});
+
+// Verification Policy Screen Component - per-charger radius, hours and dwell time, and car group overrides
+const PolicyEditor = ({ policy, chargers, cars, onChange, onChargersChange, onBack }) => {
+  const [draft, setDraft] = useState(() => toDraft(policy, chargers));
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const knownCars = useMemo(() => new Set(cars.map(car => car.car_number)), [cars]);
+
+  // Validates the form; returns the policy and the chargers with their edited radii, or throws
+  const buildFromDraft = () => {
+    const updatedChargers = chargers.map(charger => normalizeCharger({ ...charger, radius: draft.chargers[charger.id].radius }));
+    const rules = {};
+    chargers.forEach(charger => {
+      const { timeWindows, minDwellMinutes } = draft.chargers[charger.id];
+      // The name only labels validation messages; normalizing drops it
+      if (timeWindows.length > 0 || minDwellMinutes !== '') rules[charger.id] = { name: charger.name, timeWindows, minDwellMinutes };
+    });
+    return { updatedPolicy: normalizePolicy({ ...draft, chargers: rules }), updatedChargers };
+  };
+
+  const handleSave = () => {
+    setError(null);
+    setNotice(null);
+    try {
+      const { updatedPolicy, updatedChargers } = buildFromDraft();
+      onChange(updatedPolicy);
+      if (updatedChargers.some((charger, i) => charger.radius !== chargers[i].radius)) onChargersChange(updatedChargers);
+      setNotice('מדיניות האימות נשמרה.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExport = () => {
+    setError(null);
+    try {
+      const { updatedPolicy, updatedChargers } = buildFromDraft();
+      downloadFile(policyToJson(updatedPolicy, updatedChargers), 'verification-policy.json', 'application/json');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    setNotice(null);
+    try {
+      const { policy: imported, radii } = parsePolicyJson(await file.text());
+      const matched = chargers.filter(charger => radii[charger.id] != null);
+      if (!window.confirm(`לייבא את המדיניות${imported.name ? ` "${imported.name}"` : ''} ולהחליף את המדיניות הנוכחית?`)) return;
+      const updatedChargers = chargers.map(charger => (radii[charger.id] != null ? { ...charger, radius: radii[charger.id] } : charger));
+      onChange(imported);
+      if (matched.length > 0) onChargersChange(updatedChargers);
+      setDraft(toDraft(imported, updatedChargers));
+      setNotice(`המדיניות יובאה. עודכן הרדיוס של ${matched.length} מתוך ${chargers.length} עמדות.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateCharger = (chargerId, changes) => setDraft(prev => ({
+    ...prev,
+    chargers: { ...prev.chargers, [chargerId]: { ...prev.chargers[chargerId], ...changes } },
+  }));
+
+  const updateGroup = (groupId, changes) => setDraft(prev => ({
+    ...prev,
+    carGroups: prev.carGroups.map(group => (group.id === groupId ? { ...group, ...changes } : group)),
+  }));
+
+  const addGroup = () => setDraft(prev => ({
+    ...prev,
+    carGroups: [...prev.carGroups, { id: createCarGroupId(), name: '', carNumbers: '', radius: '', minDwellMinutes: '' }],
+  }));
+
+  const removeGroup = (groupId) => setDraft(prev => ({ ...prev, carGroups: prev.carGroups.filter(group => group.id !== groupId) }));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">מדיניות אימות</h2>
+          <p className="text-gray-500">{policy.name || 'הכללים שבדיקת סמיכות חייבת לעמוד בהם, מעבר לגדר העמדה'}</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {notice && !error && (
+        <div className="bg-green-50 border-l-4 border-green-500 text-green-700 p-4 mb-6 rounded-md" role="status">
+          <p>{notice}</p>
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row justify-between items-end gap-4 p-4 bg-gray-50 rounded-lg mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 flex-1">
+          <FormField label="שם המדיניות / האתר" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+          <FormField label="זמן שהייה מינימלי (דקות, 0 ללא)" type="number" min="0" value={draft.minDwellMinutes} onChange={e => setDraft({ ...draft, minDwellMinutes: e.target.value })} />
+        </div>
+        <div className="flex gap-3">
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          <button onClick={() => fileInputRef.current.click()} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+            <FileUp className="w-5 h-5 ml-2" />
+            ייבוא JSON
+          </button>
+          <button onClick={handleExport} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+            <FileDown className="w-5 h-5 ml-2" />
+            ייצוא JSON
+          </button>
+          <button onClick={handleSave} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors">
+            שמור מדיניות
+          </button>
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">כללים לפי עמדה</h3>
+      {chargers.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">אין עמדות רשומות.</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-100">
+              <tr>
+                {["עמדה", "רדיוס (מ')", "שהייה מינימלית (דק')", "שעות פעילות"].map(header => (
+                  <th key={header} scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {chargers.map(charger => {
+                const rule = draft.chargers[charger.id];
+                return (
+                  <tr key={charger.id} className="align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      <div className="flex items-center">
+                        <BatteryCharging className="w-4 h-4 text-gray-400 ml-2" />
+                        {charger.name}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <input type="number" min={MIN_RADIUS} max={MAX_RADIUS} value={rule.radius} onChange={e => updateCharger(charger.id, { radius: e.target.value })} className="w-24 border border-gray-300 rounded-md p-1" />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <input type="number" min="0" placeholder="כללי" value={rule.minDwellMinutes} onChange={e => updateCharger(charger.id, { minDwellMinutes: e.target.value })} className="w-24 border border-gray-300 rounded-md p-1" />
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <TimeWindowsEditor windows={rule.timeWindows} onChange={timeWindows => updateCharger(charger.id, { timeWindows })} />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">קבוצות רכבים</h3>
+        <button onClick={addGroup} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-1 px-3 rounded-lg hover:bg-gray-300 transition-colors text-sm">
+          <Plus className="w-4 h-4 ml-1" />
+          הוסף קבוצה
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">ערכים שהוגדרו לקבוצה גוברים על אלה של העמדה. שדה ריק - לפי העמדה.</p>
+      {draft.carGroups.length === 0 ? (
+        <p className="text-center py-6 text-gray-500">לא הוגדרו קבוצות רכבים.</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {draft.carGroups.map(group => {
+            const unknown = group.carNumbers.split(/[\s,;]+/).filter(carNumber => carNumber && !knownCars.has(carNumber));
+            return (
+              <div key={group.id} className="p-4 bg-gray-50 rounded-lg space-y-3">
+                <div className="flex items-end gap-3">
+                  <Users className="w-5 h-5 text-gray-400 mb-2" />
+                  <div className="flex-1">
+                    <FormField label="שם הקבוצה" value={group.name} onChange={e => updateGroup(group.id, { name: e.target.value })} />
+                  </div>
+                  <button onClick={() => removeGroup(group.id)} title="מחיקה" className="text-red-600 hover:text-red-800 mb-2">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <FormField label="רדיוס (מ')" type="number" min={MIN_RADIUS} max={MAX_RADIUS} placeholder="לפי העמדה" value={group.radius} onChange={e => updateGroup(group.id, { radius: e.target.value })} />
+                  <FormField label="שהייה מינימלית (דק')" type="number" min="0" placeholder="לפי העמדה" value={group.minDwellMinutes} onChange={e => updateGroup(group.id, { minDwellMinutes: e.target.value })} />
+                </div>
+                <label className="block">
+                  <span className="block text-sm font-medium text-gray-600 mb-1">מספרי רכב (מופרדים בפסיקים)</span>
+                  <textarea rows="2" dir="ltr" value={group.carNumbers} onChange={e => updateGroup(group.id, { carNumbers: e.target.value })} className="w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:border-blue-500" />
+                </label>
+                {unknown.length > 0 && <p className="text-xs text-orange-700">{`לא בצי: ${unknown.join(', ')}`}</p>}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Time Windows Editor Component - the hours a charger accepts checks; none means all day
+const TimeWindowsEditor = ({ windows, onChange }) => {
+  const updateWindow = (index, changes) => onChange(windows.map((w, i) => (i === index ? { ...w, ...changes } : w)));
+  const toggleDay = (index, day) => {
+    const { days } = windows[index];
+    updateWindow(index, { days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort() });
+  };
+
+  return (
+    <div className="space-y-2">
+      {windows.length === 0 && <p className="text-gray-500">כל שעות היממה</p>}
+      {windows.map((w, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <div className="flex gap-1">
+            {WEEKDAY_LABELS.map((label, day) => (
+              <button key={label} type="button" onClick={() => toggleDay(index, day)} className={`w-6 h-6 rounded-full text-xs font-semibold ${w.days.includes(day) ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'}`}>
+                {label}
+              </button>
+            ))}
+          </div>
+          <input type="time" value={w.from} onChange={e => updateWindow(index, { from: e.target.value })} className="border border-gray-300 rounded-md p-1" />
+          <span>-</span>
+          <input type="time" value={w.to} onChange={e => updateWindow(index, { to: e.target.value })} className="border border-gray-300 rounded-md p-1" />
+          <button type="button" onClick={() => onChange(windows.filter((_, i) => i !== index))} title="הסרה" className="text-red-600 hover:text-red-800">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button type="button" onClick={() => onChange([...windows, NEW_TIME_WINDOW])} className="flex items-center text-blue-600 hover:text-blue-800 text-xs font-semibold">
+        <Plus className="w-3 h-3 ml-1" />
+        הוסף חלון זמן
+      </button>
+    </div>
+  );
+};
+
+const FormField = ({ label, ...inputProps }) => (
+  <label className="block">
+    <span className="block text-sm font-medium text-gray-600 mb-1">{label}</span>
+    <input {...inputProps} className="w-full border border-gray-300 rounded-md p-2 focus:outline-none focus:border-blue-500" />
+  </label>
+);
+
+export default PolicyEditor;
@@ -0,0 +1,169 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { ArrowLeft, FileUp, FileDown, FileSpreadsheet } from 'lucide-react';
+import { describeApiError } from './api';
+import { fetchFleetCharging } from './FleetReport';
+import ApiError from './ApiError';
+import {
+  parseTransactionsFile, reconcileTransactions, summarizeReconciliation, getTransactionsDateRange, normalizePlate,
+  exportReconciliationToXlsx, exportReconciliationToCsv, RECONCILIATION_STATUS_LABELS, RECONCILIATION_REASONS,
+} from './reconciliation';
+
+const STATUS_STYLES = {
+  verified: { badge: 'bg-green-100 text-green-800', card: 'bg-green-50 border-green-200 text-green-800' },
+  suspicious: { badge: 'bg-red-100 text-red-800', card: 'bg-red-50 border-red-200 text-red-800' },
+  unmatched: { badge: 'bg-yellow-100 text-yellow-800', card: 'bg-yellow-50 border-yellow-200 text-yellow-800' },
+};
+
+// Transaction Reconciliation Screen Component - checks a fuel card provider's transaction file
+// against the cars' charging history and the registered chargers
+const ReconciliationScreen = ({ cars, chargers, radiusFor, onBack }) => {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState(null);
+  const [results, setResults] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(false);
+  const [fileError, setFileError] = useState(null);
+  const [apiError, setApiError] = useState(null);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setFileName(file.name);
+    setResults(null);
+    setFileError(null);
+    setApiError(null);
+    setStatusFilter('all');
+
+    let transactions;
+    try {
+      transactions = await parseTransactionsFile(file);
+    } catch (error) {
+      setFileError(error.message);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      // History is only needed for fleet cars that appear in the file
+      const plates = new Set(transactions.map(t => normalizePlate(t.plate)));
+      const carNumbers = cars.filter(car => plates.has(normalizePlate(car.car_number))).map(car => car.car_number);
+      const dateRange = getTransactionsDateRange(transactions);
+      const history = carNumbers.length > 0 && dateRange ? await fetchFleetCharging(carNumbers, dateRange) : [];
+      const sessionsByCar = new Map(history.map(({ carNumber, sessions }) => [carNumber, sessions]));
+      setResults(reconcileTransactions(transactions, { cars, chargers, sessionsByCar, radiusFor }));
+    } catch (error) {
+      console.error('Error fetching charging history for reconciliation:', error);
+      setApiError(describeApiError(error, 'שגיאה בטעינת היסטוריית הטעינות לצורך ההתאמה.'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const summary = useMemo(() => results && summarizeReconciliation(results), [results]);
+  const visibleResults = useMemo(() => results && (statusFilter === 'all' ? results : results.filter(r => r.status === statusFilter)), [results, statusFilter]);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-md">
+      <div className="flex justify-between items-center border-b pb-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">אימות עסקאות טעינה</h2>
+          <p className="text-gray-500">התאמת קובץ עסקאות מספק כרטיסי הדלק להיסטוריית הטעינות ולעמדות הרשומות</p>
+        </div>
+        <button onClick={onBack} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors">
+          <ArrowLeft className="w-5 h-5 ml-2" />
+          חזרה לדשבורד
+        </button>
+      </div>
+
+      <div className="p-4 bg-gray-50 rounded-lg flex flex-col md:flex-row justify-between items-center gap-4 mb-6">
+        <div className="text-sm text-gray-600">
+          <p>{'קובץ CSV או XLSX עם העמודות: תחנה, מספר רכב, תאריך ושעה (ואופציונלית קוט"ש וסכום).'}</p>
+          {fileName && <p className="mt-1 font-semibold text-gray-800 flex items-center"><FileSpreadsheet className="w-4 h-4 ml-1" />{fileName}</p>}
+        </div>
+        <div className="flex items-center gap-3">
+          <input ref={fileInputRef} type="file" accept=".csv,.xlsx,.xls,text/csv" onChange={handleUpload} className="hidden" />
+          <button onClick={() => fileInputRef.current.click()} disabled={isLoading} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400">
+            <FileUp className="w-5 h-5 ml-2" />
+            {isLoading ? 'מתאים עסקאות...' : 'העלאת קובץ עסקאות'}
+          </button>
+          <button onClick={() => exportReconciliationToXlsx(results, { fileName })} disabled={!results} className="flex items-center bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            Excel
+          </button>
+          <button onClick={() => exportReconciliationToCsv(results, { fileName })} disabled={!results} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition-colors disabled:bg-gray-100 disabled:text-gray-400">
+            <FileDown className="w-5 h-5 ml-2" />
+            CSV
+          </button>
+        </div>
+      </div>
+
+      {fileError && <div className="p-4 mb-6 rounded-lg border bg-red-50 border-red-200 text-red-800">{fileError}</div>}
+      {apiError && <ApiError message={apiError} />}
+
+      {!results && !isLoading && !fileError && !apiError && (
+        <p className="text-center py-8 text-gray-500">העלה קובץ עסקאות כדי להתחיל.</p>
+      )}
+
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <button onClick={() => setStatusFilter('all')} className={`p-4 rounded-lg border text-right bg-gray-50 border-gray-200 text-gray-800 ${statusFilter === 'all' ? 'ring-2 ring-blue-500' : ''}`}>
+            <p className="text-sm">סה"כ עסקאות</p>
+            <p className="text-2xl font-bold">{summary.total}</p>
+          </button>
+          {Object.entries(RECONCILIATION_STATUS_LABELS).map(([status, label]) => (
+            <button key={status} onClick={() => setStatusFilter(status)} className={`p-4 rounded-lg border text-right ${STATUS_STYLES[status].card} ${statusFilter === status ? 'ring-2 ring-blue-500' : ''}`}>
+              <p className="text-sm">{label}</p>
+              <p className="text-2xl font-bold">{summary[status]}</p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {visibleResults && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-100">
+              <tr>
+                {["שורה", "סטטוס", "רכב", "תחנה", "מועד העסקה", "טעינה תואמת", "עמדה רשומה", "מרחק (מ')", "סיבות"].map(header => (
+                  <th key={header} scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleResults.map(({ transaction, status, session, charger, distance, reasons }) => (
+                <tr key={transaction.row} className="hover:bg-gray-50 align-top">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{transaction.row}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[status].badge}`}>{RECONCILIATION_STATUS_LABELS[status]}</span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{transaction.plate || '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{transaction.station || '-'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{transaction.timestamp ? transaction.timestamp.toLocaleString('he-IL') : '-'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{session ? `${session.datetime_start} · ${Number(session.total_kw).toFixed(2)} קוט"ש` : '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{charger ? charger.name : '-'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{distance ?? '-'}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {reasons.length === 0 ? <span className="text-green-700">תואמת</span> : (
+                      <ul className="space-y-1">
+                        {reasons.map(reason => (
+                          <li key={reason.code}>
+                            <span className="font-semibold text-gray-800">{RECONCILIATION_REASONS[reason.code]}</span>
+                            <span className="text-gray-500">{` - ${reason.detail}`}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleResults.length === 0 && <p className="text-center py-8 text-gray-500">אין עסקאות בסטטוס זה.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReconciliationScreen;
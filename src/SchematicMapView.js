@@ -0,0 +1,98 @@
+import React, { useMemo } from 'react';
+import { hasPolygon, toLocalMeters, niceScaleLength, getDistanceInMeters } from './geo';
+import { getPositionFix } from './positionFix';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+const PADDING = 40;
+
+const COLORS = {
+  car: '#3B82F6',
+  charger: '#F59E0B',
+  fence: '#10B981',
+  text: '#1F2937',
+  grid: '#E5E7EB',
+};
+
+// Schematic provider - a plain SVG drawn to true scale around the charger, with no tiles or network.
+// Used offline, in test environments and where no map service is available.
+const SchematicMapView = ({ carDetails, charger, radius, trail = [] }) => {
+  const layout = useMemo(() => {
+    const origin = charger.location_geo;
+    const usesPolygon = hasPolygon(charger);
+    const polygon = usesPolygon ? charger.polygon.map(p => toLocalMeters(origin, p)) : [];
+    const car = toLocalMeters(origin, carDetails);
+    const trailPoints = trail.map(p => toLocalMeters(origin, p));
+
+    // Fit the radius circle, the polygon, the car and its trail, centred on the charger
+    const points = [car, ...polygon, ...trailPoints];
+    const extentX = Math.max(radius, ...points.map(p => Math.abs(p.x)), 1);
+    const extentY = Math.max(radius, ...points.map(p => Math.abs(p.y)), 1);
+    const scale = Math.min((WIDTH / 2 - PADDING) / extentX, (HEIGHT / 2 - PADDING) / extentY);
+    const toSvg = (p) => ({ x: WIDTH / 2 + p.x * scale, y: HEIGHT / 2 - p.y * scale });
+
+    const barMeters = niceScaleLength((WIDTH / 6) / scale);
+    return {
+      usesPolygon,
+      scale,
+      charger: toSvg({ x: 0, y: 0 }),
+      car: toSvg(car),
+      polygon: polygon.map(toSvg),
+      trail: trailPoints.map(toSvg),
+      distance: Math.round(getDistanceInMeters(carDetails.lat, carDetails.lng, origin.lat, origin.lng)),
+      bar: { meters: barMeters, px: barMeters * scale },
+      accuracy: getPositionFix(carDetails).accuracy,
+    };
+  }, [carDetails, charger, radius, trail]);
+
+  const toPoints = (points) => points.map(p => `${p.x},${p.y}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full rounded-xl bg-gray-50 border" style={{ height: '400px' }} role="img" aria-label={`שרטוט: הרכב במרחק ${layout.distance} מ' מ${charger.name}`}>
+      <line x1={WIDTH / 2} y1={0} x2={WIDTH / 2} y2={HEIGHT} stroke={COLORS.grid} />
+      <line x1={0} y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} stroke={COLORS.grid} />
+
+      <circle
+        cx={layout.charger.x}
+        cy={layout.charger.y}
+        r={radius * layout.scale}
+        fill={COLORS.fence}
+        fillOpacity={layout.usesPolygon ? 0 : 0.15}
+        stroke={COLORS.fence}
+        strokeOpacity={layout.usesPolygon ? 0.4 : 0.8}
+        strokeWidth={layout.usesPolygon ? 1 : 2}
+      />
+      {layout.usesPolygon && (
+        <polygon points={toPoints(layout.polygon)} fill={COLORS.fence} fillOpacity={0.2} stroke={COLORS.fence} strokeWidth={2} />
+      )}
+
+      {layout.trail.length > 1 && (
+        <polyline points={toPoints(layout.trail)} fill="none" stroke={COLORS.car} strokeOpacity={0.7} strokeWidth={3} strokeDasharray="6 8" />
+      )}
+      <line x1={layout.charger.x} y1={layout.charger.y} x2={layout.car.x} y2={layout.car.y} stroke={COLORS.text} strokeOpacity={0.5} strokeDasharray="4 4" />
+      <text x={(layout.charger.x + layout.car.x) / 2} y={(layout.charger.y + layout.car.y) / 2 - 8} textAnchor="middle" fontSize="14" fill={COLORS.text}>{`${layout.distance} מ'`}</text>
+
+      <circle cx={layout.charger.x} cy={layout.charger.y} r={10} fill={COLORS.charger} stroke="#D97706" strokeWidth={3}>
+        <title>{`${charger.name} - ${charger.address}`}</title>
+      </circle>
+      <text x={layout.charger.x} y={layout.charger.y + 28} textAnchor="middle" fontSize="13" fill={COLORS.text}>{charger.name}</text>
+
+      {layout.accuracy != null && (
+        <circle cx={layout.car.x} cy={layout.car.y} r={layout.accuracy * layout.scale} fill={COLORS.car} fillOpacity={0.1} stroke={COLORS.car} strokeDasharray="4 4">
+          <title>{`דיוק מיקום: ±${Math.round(layout.accuracy)} מ'`}</title>
+        </circle>
+      )}
+      <circle cx={layout.car.x} cy={layout.car.y} r={12} fill={COLORS.car} stroke="#1E40AF" strokeWidth={3}>
+        <title>{`רכב ${carDetails.car_number}`}</title>
+      </circle>
+      <text x={layout.car.x} y={layout.car.y - 18} textAnchor="middle" fontSize="13" fill={COLORS.text}>{`רכב ${carDetails.car_number}`}</text>
+
+      {/* Scale bar and north arrow */}
+      <line x1={20} y1={HEIGHT - 20} x2={20 + layout.bar.px} y2={HEIGHT - 20} stroke={COLORS.text} strokeWidth={3} />
+      <text x={20} y={HEIGHT - 28} fontSize="13" fill={COLORS.text} direction="ltr">{`${layout.bar.meters} m`}</text>
+      <text x={WIDTH - 30} y={30} fontSize="14" fill={COLORS.text} textAnchor="middle" direction="ltr">N ↑</text>
+    </svg>
+  );
+};
+
+export default SchematicMapView;
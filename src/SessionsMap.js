@@ -0,0 +1,116 @@
+import React, { useRef, useEffect, useState, useMemo } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { hasPolygon, evaluateGeofence } from './geo';
+import { getSessionLocation } from './chargingAudit';
+import { MAP_TILE_URL } from './config';
+
+const ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>';
+
+const COLORS = { inside: '#10B981', outside: '#EF4444', charger: '#F59E0B', highlight: '#1E3A8A' };
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const sessionStyle = (isInside, isHighlighted) => ({
+  radius: isHighlighted ? 11 : 7,
+  color: isHighlighted ? COLORS.highlight : '#FFFFFF',
+  weight: isHighlighted ? 3 : 2,
+  fillColor: isHighlighted ? '#3B82F6' : (isInside ? COLORS.inside : COLORS.outside),
+  fillOpacity: 0.9,
+});
+
+// Sessions Map Component - where each charging session took place, against the registered chargers.
+// `sessions` are the history rows ({ item, index }); clicking a point reports its index through onSelect,
+// and the session at `highlightedIndex` is enlarged and brought into view.
+// Always drawn with Leaflet, which needs no API key: the schematic provider cannot show many points,
+// and a Google key is optional.
+const SessionsMap = ({ sessions, chargers, radius, highlightedIndex, onSelect }) => {
+  const containerRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const markersRef = useRef(new Map()); // session index -> { marker, isInside }
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+
+  // A session counts as inside when it falls within any charger's geofence
+  const located = useMemo(() => sessions
+    .map(session => ({ ...session, location: getSessionLocation(session.item) }))
+    .filter(session => session.location)
+    .map(session => ({
+      ...session,
+      isInside: chargers.some(charger => evaluateGeofence(session.location.lat, session.location.lng, charger, charger.radius || radius).inside),
+    })), [sessions, chargers, radius]);
+
+  useEffect(() => {
+    const leafletMap = L.map(containerRef.current, { center: [32.0853, 34.7818], zoom: 10 }); // Tel Aviv
+    L.tileLayer(MAP_TILE_URL, { attribution: ATTRIBUTION, maxZoom: 19 }).addTo(leafletMap);
+    setMap(leafletMap);
+    return () => leafletMap.remove();
+  }, []);
+
+  // Chargers with their radius rings and polygons
+  useEffect(() => {
+    if (!map) return;
+    const group = L.layerGroup(chargers.flatMap(charger => [
+      L.circle(charger.location_geo, { radius: charger.radius || radius, color: COLORS.inside, weight: 1, fillOpacity: 0.08 }),
+      ...(hasPolygon(charger) ? [L.polygon(charger.polygon, { color: COLORS.inside, weight: 2, fillOpacity: 0.15 })] : []),
+      L.circleMarker(charger.location_geo, { radius: 8, color: '#D97706', weight: 2, fillColor: COLORS.charger, fillOpacity: 1 })
+        .bindTooltip(escapeHtml(charger.name)),
+    ])).addTo(map);
+    return () => group.remove();
+  }, [map, chargers, radius]);
+
+  // Session points, refitted whenever the set of sessions changes
+  useEffect(() => {
+    if (!map) return;
+    const markers = new Map();
+    const group = L.layerGroup(located.map(({ item, index, location, isInside }) => {
+      const marker = L.circleMarker([location.lat, location.lng], sessionStyle(isInside, false))
+        .bindPopup(`
+          <div style="direction: rtl;">
+            <strong>${escapeHtml(item.datetime_start)}</strong><br/>
+            ${escapeHtml(item.location_name)}<br/>
+            ${Number(item.total_kw).toFixed(2)} קוט"ש · ₪${Number(item.total_price).toFixed(2)}<br/>
+            <span style="color: ${isInside ? COLORS.inside : COLORS.outside};">${isInside ? 'בתוך גדר עמדה' : 'מחוץ לגדר העמדות'}</span>
+          </div>
+        `);
+      marker.on('click', () => onSelectRef.current(index));
+      markers.set(index, { marker, isInside });
+      return marker;
+    })).addTo(map);
+    markersRef.current = markers;
+
+    if (located.length > 0) {
+      map.fitBounds(L.latLngBounds(located.map(s => [s.location.lat, s.location.lng])), { padding: [30, 30], maxZoom: 16 });
+    } else if (chargers.length > 0) {
+      map.fitBounds(L.latLngBounds(chargers.map(c => [c.location_geo.lat, c.location_geo.lng])), { padding: [30, 30], maxZoom: 16 });
+    }
+    return () => group.remove();
+  }, [map, located, chargers]);
+
+  // Highlight follows the selected table row
+  useEffect(() => {
+    const entry = markersRef.current.get(highlightedIndex);
+    if (!map || !entry) return;
+    entry.marker.setStyle(sessionStyle(entry.isInside, true)).bringToFront().openPopup();
+    map.panTo(entry.marker.getLatLng());
+    return () => entry.marker.setStyle(sessionStyle(entry.isInside, false));
+  }, [map, located, highlightedIndex]);
+
+  const outsideCount = located.filter(s => !s.isInside).length;
+  const missingCount = sessions.length - located.length;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700 mb-2">
+        <span className="flex items-center"><span className="inline-block w-3 h-3 rounded-full ml-2" style={{ backgroundColor: COLORS.inside }} />{`בתוך גדר עמדה (${located.length - outsideCount})`}</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 rounded-full ml-2" style={{ backgroundColor: COLORS.outside }} />{`מחוץ לגדר העמדות (${outsideCount})`}</span>
+        <span className="flex items-center"><span className="inline-block w-3 h-3 rounded-full ml-2" style={{ backgroundColor: COLORS.charger }} />עמדת טעינה</span>
+        {missingCount > 0 && <span className="text-yellow-700">{`${missingCount} טעינות ללא קואורדינטות אינן מוצגות`}</span>}
+      </div>
+      {/* Leaflet positions tiles left-to-right and breaks inside an RTL container */}
+      <div ref={containerRef} dir="ltr" style={{ width: '100%', height: '420px', borderRadius: '0.75rem' }} />
+    </div>
+  );
+};
+
+export default SessionsMap;
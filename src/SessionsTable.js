@@ -0,0 +1,323 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { ArrowUp, ArrowDown, ArrowUpDown, Columns, Filter, X } from 'lucide-react';
+import { AUDIT_REASONS } from './chargingAudit';
+import { parseApiDateTime, parseDurationMinutes } from './dates';
+import useVirtualRows from './useVirtualRows';
+
+const STORAGE_KEY = 'dalkan.historyColumns';
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}:${String(Math.round(minutes % 60)).padStart(2, '0')}`;
+
+// Table columns. `value` is what the column sorts and totals by; `footer` says which totals it shows.
+const COLUMNS = [
+  {
+    key: 'datetime_start',
+    label: 'תאריך התחלה',
+    value: item => parseApiDateTime(item.datetime_start)?.getTime() ?? null,
+    render: item => item.datetime_start,
+    className: 'text-gray-900',
+  },
+  {
+    key: 'datetime_end',
+    label: 'תאריך סיום',
+    value: item => parseApiDateTime(item.datetime_end)?.getTime() ?? null,
+    render: item => item.datetime_end,
+    hiddenByDefault: true,
+  },
+  {
+    key: 'duration',
+    label: 'משך',
+    value: item => parseDurationMinutes(item.duration),
+    render: item => item.duration,
+    footer: { average: formatMinutes },
+  },
+  {
+    key: 'total_percents',
+    label: 'סוללה',
+    value: item => toNumber(item.total_percents),
+    render: item => (
+      <div className="flex items-center">
+        {item.percents_start}% → {item.percents_end}%
+        <span className="mr-2 text-green-600 font-semibold">(+{item.total_percents}%)</span>
+      </div>
+    ),
+    footer: { average: value => `+${value.toFixed(1)}%` },
+  },
+  {
+    key: 'total_kw',
+    label: 'אנרגיה (קוט"ש)',
+    value: item => toNumber(item.total_kw),
+    render: item => Number(item.total_kw).toFixed(2),
+    footer: { sum: value => value.toFixed(2), average: value => value.toFixed(2) },
+  },
+  {
+    key: 'total_price',
+    label: 'עלות',
+    value: item => toNumber(item.total_price),
+    render: item => `₪${Number(item.total_price).toFixed(2)}`,
+    footer: { sum: value => `₪${value.toFixed(2)}`, average: value => `₪${value.toFixed(2)}` },
+  },
+  {
+    key: 'location_name',
+    label: 'מיקום',
+    value: item => item.location_name || '',
+    render: item => item.location_name,
+  },
+  {
+    key: 'distance',
+    label: "מרחק (מ')",
+    value: item => toNumber(item.distance),
+    render: (item, { radius }) => (
+      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${Number(item.distance) > radius ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+        {item.distance}
+      </span>
+    ),
+    footer: { average: value => Math.round(value) },
+  },
+];
+
+const DEFAULT_VISIBLE_COLUMNS = COLUMNS.filter(c => !c.hiddenByDefault).map(c => c.key);
+
+const EMPTY_SESSION_FILTERS = { location: '', minPrice: '', maxPrice: '', minDistance: '', maxDistance: '' };
+
+const loadVisibleColumns = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const known = Array.isArray(stored) ? stored.filter(key => COLUMNS.some(c => c.key === key)) : [];
+    return known.length > 0 ? known : DEFAULT_VISIBLE_COLUMNS;
+  } catch (error) {
+    console.warn('Failed to load history table columns, using defaults:', error);
+    return DEFAULT_VISIBLE_COLUMNS;
+  }
+};
+
+const saveVisibleColumns = (keys) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(keys));
+  } catch (error) {
+    console.error('Error saving history table columns to storage:', error);
+  }
+};
+
+const inRange = (value, min, max) => {
+  if (min === '' && max === '') return true;
+  if (value == null) return false;
+  return (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+};
+
+// Entries ({ item, index, reasons }) matching the location text and the cost and distance ranges
+const filterSessions = (sessions, filters) => {
+  const location = filters.location.trim().toLowerCase();
+  return sessions.filter(({ item }) =>
+    (!location || String(item.location_name || '').toLowerCase().includes(location))
+    && inRange(toNumber(item.total_price), filters.minPrice, filters.maxPrice)
+    && inRange(toNumber(item.distance), filters.minDistance, filters.maxDistance));
+};
+
+// Stable sort by a column's value; rows without a value go last in either direction
+const sortSessions = (sessions, sort) => {
+  const column = sort && COLUMNS.find(c => c.key === sort.key);
+  if (!column) return sessions;
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  const isEmpty = (value) => value == null || value === '';
+  return sessions
+    .map(entry => ({ entry, value: column.value(entry.item) }))
+    .sort((a, b) => {
+      if (isEmpty(a.value)) return isEmpty(b.value) ? 0 : 1;
+      if (isEmpty(b.value)) return -1;
+      const order = typeof a.value === 'string' ? a.value.localeCompare(b.value, 'he') : a.value - b.value;
+      return order * direction;
+    })
+    .map(({ entry }) => entry);
+};
+
+// Sum and average of every column with a footer, over the rows that have a value
+const summarizeColumns = (sessions) => Object.fromEntries(COLUMNS.filter(c => c.footer).map(column => {
+  const values = sessions.map(({ item }) => column.value(item)).filter(value => value != null);
+  const sum = values.reduce((total, value) => total + value, 0);
+  return [column.key, { sum, average: values.length > 0 ? sum / values.length : null }];
+}));
+
+// Sessions Table Component - the charging history rows, virtualized so a year of sessions scrolls smoothly.
+// `sessions` are audited entries ({ item, index, reasons }); the row at `highlightedIndex` is marked and
+// scrolled into view, and clicking a row reports its index through onSelect. Headers sort, the filter bar
+// narrows the rows, columns can be shown or hidden, and the footer totals whatever rows remain.
+const SessionsTable = ({ sessions, radius, isAuditMode, highlightedIndex, onSelect }) => {
+  const containerRef = useRef(null);
+  const headerRef = useRef(null);
+  const [sort, setSort] = useState(null); // { key, direction: 'asc' | 'desc' }
+  const [filters, setFilters] = useState(EMPTY_SESSION_FILTERS);
+  const [visibleColumnKeys, setVisibleColumnKeys] = useState(loadVisibleColumns);
+  const [isColumnMenuOpen, setIsColumnMenuOpen] = useState(false);
+
+  const rows = useMemo(() => sortSessions(filterSessions(sessions, filters), sort), [sessions, filters, sort]);
+  const totals = useMemo(() => summarizeColumns(rows), [rows]);
+  const columns = COLUMNS.filter(c => visibleColumnKeys.includes(c.key));
+  const hasFilters = Object.values(filters).some(value => value !== '');
+
+  const keys = useMemo(() => rows.map(s => s.index), [rows]);
+  const { start, end, paddingTop, paddingBottom, measureRow, scrollToRow } = useVirtualRows(keys, { containerRef });
+  const columnCount = columns.length + (isAuditMode ? 1 : 0);
+
+  // Only when the highlight moves, not whenever rows are re-measured
+  const revealHighlightRef = useRef(null);
+  revealHighlightRef.current = () => scrollToRow(keys.indexOf(highlightedIndex), headerRef.current?.offsetHeight);
+  useEffect(() => {
+    if (highlightedIndex != null) revealHighlightRef.current();
+  }, [highlightedIndex]);
+
+  // Ascending, then descending, then back to the original order
+  const toggleSort = (key) => {
+    if (sort?.key !== key) setSort({ key, direction: 'asc' });
+    else if (sort.direction === 'asc') setSort({ key, direction: 'desc' });
+    else setSort(null);
+  };
+
+  // Columns keep their table order whichever order they are switched on in
+  const toggleColumn = (key) => {
+    const next = visibleColumnKeys.includes(key)
+      ? visibleColumnKeys.filter(k => k !== key)
+      : COLUMNS.map(c => c.key).filter(k => k === key || visibleColumnKeys.includes(k));
+    if (next.length === 0) return; // keep at least one column
+    setVisibleColumnKeys(next);
+    saveVisibleColumns(next);
+  };
+
+  const updateFilter = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  const footerRow = (label, kind) => (
+    <tr>
+      {columns.map((column, i) => {
+        const format = column.footer?.[kind];
+        const value = totals[column.key]?.[kind];
+        const total = format && value != null ? format(value) : '';
+        return (
+          <td key={column.key} className="px-6 py-3 whitespace-nowrap text-sm">
+            {i === 0 ? [label, total].filter(Boolean).join(' · ') : total}
+          </td>
+        );
+      })}
+      {isAuditMode && <td />}
+    </tr>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-3 text-sm">
+        <Filter className="w-4 h-4 text-gray-500 mb-2" />
+        <label className="text-xs text-gray-500">
+          מיקום
+          <input type="text" value={filters.location} onChange={updateFilter('location')} placeholder="חיפוש מיקום" className="block mt-1 border border-gray-300 rounded-md p-1.5 text-sm w-40" />
+        </label>
+        <label className="text-xs text-gray-500">
+          {'עלות (₪)'}
+          <span className="flex items-center gap-1 mt-1">
+            <input type="number" value={filters.minPrice} onChange={updateFilter('minPrice')} placeholder="מ-" aria-label="עלות מינימלית" className="border border-gray-300 rounded-md p-1.5 text-sm w-20" />
+            <input type="number" value={filters.maxPrice} onChange={updateFilter('maxPrice')} placeholder="עד" aria-label="עלות מקסימלית" className="border border-gray-300 rounded-md p-1.5 text-sm w-20" />
+          </span>
+        </label>
+        <label className="text-xs text-gray-500">
+          {"מרחק (מ')"}
+          <span className="flex items-center gap-1 mt-1">
+            <input type="number" value={filters.minDistance} onChange={updateFilter('minDistance')} placeholder="מ-" aria-label="מרחק מינימלי" className="border border-gray-300 rounded-md p-1.5 text-sm w-20" />
+            <input type="number" value={filters.maxDistance} onChange={updateFilter('maxDistance')} placeholder="עד" aria-label="מרחק מקסימלי" className="border border-gray-300 rounded-md p-1.5 text-sm w-20" />
+          </span>
+        </label>
+        {hasFilters && (
+          <button onClick={() => setFilters(EMPTY_SESSION_FILTERS)} className="flex items-center text-gray-600 hover:text-gray-900 mb-2">
+            <X className="w-4 h-4 ml-1" />
+            נקה סינון
+          </button>
+        )}
+        <span className="text-gray-500 mb-2">{`${rows.length} מתוך ${sessions.length} טעינות`}</span>
+        <div className="relative mr-auto">
+          <button onClick={() => setIsColumnMenuOpen(!isColumnMenuOpen)} aria-expanded={isColumnMenuOpen} className="flex items-center bg-gray-200 text-gray-700 font-semibold py-1.5 px-3 rounded-lg hover:bg-gray-300 transition-colors">
+            <Columns className="w-4 h-4 ml-2" />
+            עמודות
+          </button>
+          {isColumnMenuOpen && (
+            <div className="absolute left-0 mt-1 w-48 bg-white border border-gray-200 rounded-lg shadow-lg p-2 z-20 space-y-1">
+              {COLUMNS.map(column => (
+                <label key={column.key} className="flex items-center text-sm text-gray-700">
+                  <input type="checkbox" checked={visibleColumnKeys.includes(column.key)} onChange={() => toggleColumn(column.key)} className="ml-2" />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* The scroll container stays mounted so the virtualizer keeps tracking it while filters empty the table */}
+      <div ref={containerRef} className="overflow-auto max-h-[36rem] border rounded-lg">
+        {rows.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">אין טעינות התואמות לסינון.</p>
+        ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead ref={headerRef} className="bg-gray-100 sticky top-0 z-10">
+                <tr>
+                  {columns.map(column => {
+                    const direction = sort?.key === column.key ? sort.direction : null;
+                    const SortIcon = direction === 'asc' ? ArrowUp : direction === 'desc' ? ArrowDown : ArrowUpDown;
+                    return (
+                      <th key={column.key} scope="col" aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none'} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        <button onClick={() => toggleSort(column.key)} className="flex items-center gap-1 uppercase hover:text-gray-800">
+                          {column.label}
+                          <SortIcon className={`w-3 h-3 ${direction ? 'text-blue-600' : 'text-gray-300'}`} />
+                        </button>
+                      </th>
+                    );
+                  })}
+                  {isAuditMode && <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">ממצאי ביקורת</th>}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {paddingTop > 0 && <tr aria-hidden="true" style={{ height: paddingTop }}><td colSpan={columnCount} /></tr>}
+                {rows.slice(start, end).map(({ item, index, reasons }) => (
+                  <tr
+                    key={index}
+                    ref={measureRow(index)}
+                    onClick={() => onSelect(index)}
+                    className={`cursor-pointer ${index === highlightedIndex ? 'bg-blue-100' : isAuditMode && reasons.length > 0 ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}`}
+                  >
+                    {columns.map(column => (
+                      <td key={column.key} className={`px-6 py-4 whitespace-nowrap text-sm ${column.className || 'text-gray-500'}`}>{column.render(item, { radius })}</td>
+                    ))}
+                    {isAuditMode && (
+                      <td className="px-6 py-4 text-sm">
+                        {reasons.length === 0 ? (
+                          <span className="text-green-600">תקין</span>
+                        ) : (
+                          <ul className="space-y-1">
+                            {reasons.map(reason => (
+                              <li key={reason.code}>
+                                <span className="font-semibold text-red-800">{AUDIT_REASONS[reason.code]}</span>
+                                <span className="block text-xs text-gray-500">{reason.detail}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+                {paddingBottom > 0 && <tr aria-hidden="true" style={{ height: paddingBottom }}><td colSpan={columnCount} /></tr>}
+              </tbody>
+              <tfoot className="bg-gray-800 text-white font-semibold sticky bottom-0">
+                {footerRow(`סה"כ · ${rows.length} טעינות`, 'sum')}
+                {footerRow('ממוצע', 'average')}
+              </tfoot>
+            </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsTable;
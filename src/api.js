@@ -0,0 +1,198 @@
+import { API_BASE_URL } from './config';
+import { getToken, expireSession } from './session';
+import { formatDateForApi } from './dates';
+
+// Client for the fleet BI API. Every endpoint goes through `request`, which adds the session's token,
+// a timeout, retries with exponential backoff on network/5xx failures, and the
+// { success, data } envelope check, so all screens surface the same typed errors.
+// Endpoints take an optional AbortSignal so a screen can drop requests it no longer needs.
+
+const REQUEST_TIMEOUT_MS = 20000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+export class ApiClientError extends Error {
+  constructor(message, { status = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiClientError';
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// 401 - the token is missing, invalid or expired
+export class UnauthorizedError extends ApiClientError {
+  constructor() {
+    super('טוקן API אינו חוקי או שפג תוקפו.', { status: 401 });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// The request never got a usable answer: offline, timed out, or a 5xx from the server
+export class NetworkError extends ApiClientError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// The server answered, but not with the expected { success: true, data } payload
+export class MalformedResponseError extends ApiClientError {
+  constructor(message = 'התקבלה תשובה לא תקינה מהשרת.', options) {
+    super(message, options);
+    this.name = 'MalformedResponseError';
+  }
+}
+
+// The caller aborted the request through its AbortSignal; not a failure to report
+export class RequestCancelledError extends ApiClientError {
+  constructor() {
+    super('הבקשה בוטלה.');
+    this.name = 'RequestCancelledError';
+  }
+}
+
+export const isCancelled = (error) => error instanceof RequestCancelledError;
+
+// Message for an error banner: the client's own message for typed errors, otherwise the screen's fallback
+export const describeApiError = (error, fallback) => (error instanceof ApiClientError ? `${fallback} ${error.message}` : fallback);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const attemptRequest = async (path, { method, body, token, signal }) => {
+  const authorization = token ?? getToken();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller);
+  try {
+    let response;
+    try {
+      response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: body ? { 'Authorization': authorization, 'Content-Type': 'application/json' } : { 'Authorization': authorization },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw new RequestCancelledError();
+      throw new NetworkError(
+        error.name === 'AbortError' ? 'השרת לא הגיב בזמן. אנא נסה שוב.' : 'לא ניתן להתחבר לשרת. בדוק את החיבור לאינטרנט.',
+        { cause: error }
+      );
+    }
+
+    if (response.status === 401) {
+      // A rejected session token sends the dispatcher back to login; a token being tried at login does not
+      if (token === undefined) expireSession();
+      throw new UnauthorizedError();
+    }
+    if (response.status >= 500) throw new NetworkError(`שגיאת שרת! סטטוס: ${response.status}`, { status: response.status });
+    if (!response.ok) throw new ApiClientError(`הבקשה נדחתה על ידי השרת! סטטוס: ${response.status}`, { status: response.status });
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      if (signal?.aborted) throw new RequestCancelledError();
+      throw new MalformedResponseError(undefined, { status: response.status, cause: error });
+    }
+    if (!payload || payload.success !== true) {
+      throw new MalformedResponseError('ה-API החזיר שגיאה בעיבוד הבקשה.', { status: response.status });
+    }
+    return payload.data;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+const request = async (path, { method = 'GET', body, token, signal } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new RequestCancelledError();
+    try {
+      return await attemptRequest(path, { method, body, token, signal });
+    } catch (error) {
+      if (!(error instanceof NetworkError) || attempt >= MAX_RETRIES) throw error;
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+    }
+  }
+};
+
+// Identical requests in flight share one fetch. Each caller can cancel its own wait through its
+// signal; the shared fetch is aborted only once nobody is waiting for it any more.
+const inFlight = new Map(); // request key -> { promise, controller, waiters }
+
+const sharedRequest = (path, { signal, ...options }) => {
+  if (signal?.aborted) return Promise.reject(new RequestCancelledError());
+  const key = JSON.stringify([options.method, path, options.body ?? null]);
+  let entry = inFlight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, waiters: 0 };
+    const settle = () => {
+      if (inFlight.get(key) === entry) inFlight.delete(key);
+    };
+    entry.promise = request(path, { ...options, signal: controller.signal });
+    entry.promise.then(settle, settle);
+    inFlight.set(key, entry);
+  }
+
+  const shared = entry;
+  shared.waiters += 1;
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const leave = () => {
+      done = true;
+      shared.waiters -= 1;
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      if (done) return;
+      leave();
+      if (shared.waiters === 0) {
+        shared.controller.abort();
+        if (inFlight.get(key) === shared) inFlight.delete(key);
+      }
+      reject(new RequestCancelledError());
+    };
+    signal?.addEventListener('abort', onAbort);
+    shared.promise.then(
+      data => { if (!done) { leave(); resolve(data); } },
+      error => { if (!done) { leave(); reject(error); } }
+    );
+  });
+};
+
+const expectArray = (data) => {
+  if (!Array.isArray(data)) throw new MalformedResponseError();
+  return data;
+};
+
+// GET /cars/list - the car numbers in the fleet
+export const listCars = async () => expectArray(await request('/cars/list'));
+
+// Checks a token entered at login against /cars/list, without touching the current session.
+// Resolves when the token is accepted, rejects with UnauthorizedError when it isn't.
+export const verifyToken = async (token) => {
+  await request('/cars/list', { token });
+};
+
+// POST /cars/info - details and last known position for each car
+export const getCarsInfo = async (carNumbers) => expectArray(await request('/cars/info', {
+  method: 'POST',
+  body: { car_numbers: carNumbers },
+}));
+
+// POST /reports/cars/charging - one array of sessions per requested car, in request order.
+// Dates are ISO (YYYY-MM-DD) and converted to the API's DD/MM/YYYY. Identical reports already
+// being fetched are shared rather than requested twice.
+export const getChargingReport = async ({ carNumbers, dateFrom, dateTo }, { signal } = {}) => expectArray(await sharedRequest('/reports/cars/charging', {
+  method: 'POST',
+  body: {
+    car_numbers: carNumbers,
+    date_from: formatDateForApi(dateFrom),
+    date_to: formatDateForApi(dateTo),
+  },
+  signal,
+}));
@@ -0,0 +1,87 @@
+// Car picker search: fuzzy matching on plate, brand and model, attribute filters,
+// and the dispatcher's recently used cars (kept in localStorage).
+
+const RECENT_STORAGE_KEY = 'dalkan.recentCars';
+const MAX_RECENT_CARS = 5;
+
+export const LOCATION_FILTERS = {
+  all: 'כל הרכבים',
+  located: 'עם מיקום',
+  missing: 'ללא מיקום',
+};
+
+export const carLabel = (car) => `${car.brand || ''} ${car.model || 'רכב'} (${car.car_number})`;
+
+export const hasLocation = (car) => car.lat != null && car.lng != null;
+
+const normalize = (text) => String(text ?? '').toLowerCase().trim();
+
+// Plates are typed with or without dashes and spaces ("12-345-67", "1234567")
+const compactPlate = (text) => normalize(text).replace(/[^0-9a-z\u0590-\u05ff]/g, '');
+
+// How well one query token matches one field: prefix 3, substring 2,
+// letters in order (for tokens of 3+ characters) 1, no match 0.
+const scoreToken = (token, field) => {
+  if (!token || !field) return 0;
+  if (field.startsWith(token)) return 3;
+  if (field.includes(token)) return 2;
+  if (token.length < 3) return 0;
+  let matched = 0;
+  for (const char of field) {
+    if (char === token[matched]) matched++;
+    if (matched === token.length) return 1;
+  }
+  return 0;
+};
+
+// Cars matching every word of the query, best matches first. An empty query returns the list unchanged.
+export const searchCars = (cars, query) => {
+  const tokens = normalize(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return cars;
+
+  return cars
+    .map(car => {
+      const plate = compactPlate(car.car_number);
+      const brand = normalize(car.brand);
+      const model = normalize(car.model);
+      let score = 0;
+      for (const token of tokens) {
+        const best = Math.max(scoreToken(compactPlate(token), plate) * 2, scoreToken(token, brand), scoreToken(token, model));
+        if (best === 0) return null;
+        score += best;
+      }
+      return { car, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || carLabel(a.car).localeCompare(carLabel(b.car), 'he'))
+    .map(({ car }) => car);
+};
+
+// filters: { brand: '' for any, location: a LOCATION_FILTERS key }
+export const filterCars = (cars, { brand = '', location = 'all' } = {}) => cars.filter(car =>
+  (!brand || car.brand === brand) &&
+  (location === 'all' || (location === 'located') === hasLocation(car))
+);
+
+export const getBrands = (cars) => [...new Set(cars.map(car => car.brand).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'he'));
+
+export const loadRecentCars = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Failed to load recent cars:', error);
+    return [];
+  }
+};
+
+// Moves the car to the front of the recent list and returns the updated list
+export const addRecentCar = (carNumber) => {
+  const recent = [carNumber, ...loadRecentCars().filter(n => n !== carNumber)].slice(0, MAX_RECENT_CARS);
+  try {
+    localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(recent));
+  } catch (error) {
+    console.error('Error saving recent cars to storage:', error);
+  }
+  return recent;
+};
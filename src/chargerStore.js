@@ -0,0 +1,111 @@
+// Local persistence for the charger registry.
+// There is no API endpoint for chargers, so the list lives in localStorage
+// and is seeded with the sites we used to hardcode.
+
+const STORAGE_KEY = 'dalkan.chargers';
+
+export const DEFAULT_RADIUS = 50;
+export const MIN_RADIUS = 10;
+export const MAX_RADIUS = 8000;
+
+export const DEFAULT_CHARGERS = [
+    { id: "C001", name: "בית אדוויס", location_geo: { lat: 32.16165, lng: 34.93400 }, address: "עתיר ידע 16, כפר סבא", radius: DEFAULT_RADIUS, polygon: null },
+    { id: "C002", name: "קניון G", location_geo: { lat: 32.16000, lng: 34.93000 }, address: "התע\"ש 22, כפר סבא", radius: DEFAULT_RADIUS, polygon: null },
+    { id: "C003", name: "חניון עירוני", location_geo: { lat: 32.06300, lng: 34.77200 }, address: "דרך מנחם בגין 1, תל אביב", radius: DEFAULT_RADIUS, polygon: null },
+];
+
+export const createChargerId = () => `C${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 5).toUpperCase()}`;
+
+// Validates a single charger and returns a normalized copy.
+// Throws an Error with a user-facing (Hebrew) message when the entry is invalid.
+export const normalizeCharger = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('רשומת עמדה אינה תקינה.');
+
+  const name = String(raw.name || '').trim();
+  if (!name) throw new Error('לכל עמדה חייב להיות שם.');
+
+  const lat = Number(raw.location_geo?.lat ?? raw.lat);
+  const lng = Number(raw.location_geo?.lng ?? raw.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) throw new Error(`קו רוחב לא תקין בעמדה "${name}".`);
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) throw new Error(`קו אורך לא תקין בעמדה "${name}".`);
+
+  const radius = raw.radius == null || raw.radius === '' ? DEFAULT_RADIUS : Number(raw.radius);
+  if (!Number.isFinite(radius) || radius < MIN_RADIUS || radius > MAX_RADIUS) {
+    throw new Error(`רדיוס לא תקין בעמדה "${name}" (${MIN_RADIUS}-${MAX_RADIUS} מ').`);
+  }
+
+  return {
+    id: raw.id ? String(raw.id) : createChargerId(),
+    name,
+    address: String(raw.address || '').trim(),
+    location_geo: { lat, lng },
+    radius,
+    polygon: normalizePolygon(raw.polygon, name),
+  };
+};
+
+// An optional polygon geofence: at least 3 vertices, or null when not drawn.
+const normalizePolygon = (polygon, name) => {
+  if (!Array.isArray(polygon) || polygon.length === 0) return null;
+  if (polygon.length < 3) throw new Error(`פוליגון העמדה "${name}" חייב לכלול לפחות 3 נקודות.`);
+  return polygon.map(point => {
+    const lat = Number(point?.lat);
+    const lng = Number(point?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error(`נקודה לא תקינה בפוליגון העמדה "${name}".`);
+    }
+    return { lat, lng };
+  });
+};
+
+// The defaults only seed an empty or unreadable registry. A stored entry that no longer validates
+// is skipped on its own, so one bad record does not replace the dispatcher's chargers with the seed list.
+export const loadChargers = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return DEFAULT_CHARGERS;
+    const parsed = JSON.parse(stored);
+    if (!Array.isArray(parsed)) return DEFAULT_CHARGERS;
+    return parsed.flatMap((raw, index) => {
+      try {
+        return [normalizeCharger(raw)];
+      } catch (error) {
+        console.warn(`Skipping invalid charger #${index + 1} in storage:`, error.message);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.error('Error loading chargers from storage:', error);
+    return DEFAULT_CHARGERS;
+  }
+};
+
+export const saveChargers = (chargers) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(chargers));
+  } catch (error) {
+    console.error('Error saving chargers to storage:', error);
+  }
+};
+
+export const chargersToJson = (chargers) => JSON.stringify(chargers, null, 2);
+
+// Parses an exported registry file. Accepts either a bare array or { chargers: [...] }.
+export const parseChargersJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('הקובץ אינו קובץ JSON תקין.');
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.chargers;
+  if (!Array.isArray(list)) throw new Error('הקובץ אינו מכיל רשימת עמדות.');
+
+  const chargers = list.map(normalizeCharger);
+  const ids = new Set();
+  chargers.forEach(ch => {
+    if (ids.has(ch.id)) throw new Error(`מזהה עמדה כפול בקובץ: ${ch.id}`);
+    ids.add(ch.id);
+  });
+  return chargers;
+};
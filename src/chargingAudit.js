@@ -0,0 +1,129 @@
+import { evaluateGeofence } from './geo';
+import { parseApiDateTime } from './dates';
+
+// Rules for flagging suspicious charging sessions - the "smart fuel card" audit
+// finance used to do by hand. Each rule adds a { code, detail } reason to a session.
+
+export const AUDIT_REASONS = {
+  far_from_charger: 'רחוק מעמדה רשומה',
+  energy_mismatch: 'אנרגיה לא סבירה לשינוי בסוללה',
+  overlap: 'חפיפה בזמן לטעינה אחרת',
+  unusual_price: 'מחיר לקוט"ש חריג',
+};
+
+export const AUDIT_THRESHOLDS = {
+  minPercentsForCapacity: 5, // sessions adding less battery than this are too noisy to judge
+  capacityTolerance: 0.5, // implied battery size may deviate ±50% from the car's typical value
+  minPlausibleCapacity: 10, // kWh
+  maxPlausibleCapacity: 200, // kWh
+  priceTolerance: 0.5, // price per kWh may deviate ±50% from the median
+  minKwForPrice: 0.5, // ignore price per kWh of near-empty sessions
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Session coordinates, when the API includes them
+export const getSessionLocation = (item) => {
+  const lat = Number(item.lat ?? item.latitude);
+  const lng = Number(item.lng ?? item.longitude);
+  const hasValue = (item.lat ?? item.latitude) != null && (item.lng ?? item.longitude) != null;
+  return hasValue && Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+const impliedCapacity = (item) => Number(item.total_kw) / (Number(item.total_percents) / 100);
+
+const checkLocation = (item, chargers, radius) => {
+  const location = getSessionLocation(item);
+  if (location && chargers.length > 0) {
+    const results = chargers.map(charger => ({ charger, ...evaluateGeofence(location.lat, location.lng, charger, charger.radius || radius) }));
+    if (results.some(r => r.inside)) return null;
+    const nearest = results.reduce((a, b) => (a.distance <= b.distance ? a : b));
+    return `${Math.round(nearest.distance)} מ' מהעמדה הקרובה (${nearest.charger.name})`;
+  }
+  // Without coordinates, fall back to the distance reported by the API
+  const distance = Number(item.distance);
+  return Number.isFinite(distance) && distance > radius ? `${distance} מ' מהעמדה (רדיוס ${radius} מ')` : null;
+};
+
+const checkEnergy = (item, referenceCapacity, thresholds) => {
+  const kw = Number(item.total_kw);
+  const percents = Number(item.total_percents);
+  if (kw > 1 && percents <= 0) return `${kw.toFixed(2)} קוט"ש ללא עלייה בסוללה`;
+  if (!(percents >= thresholds.minPercentsForCapacity)) return null;
+
+  const capacity = impliedCapacity(item);
+  const outOfRange = capacity < thresholds.minPlausibleCapacity || capacity > thresholds.maxPlausibleCapacity;
+  const deviates = referenceCapacity && Math.abs(capacity / referenceCapacity - 1) > thresholds.capacityTolerance;
+  if (!outOfRange && !deviates) return null;
+  return `${kw.toFixed(2)} קוט"ש ל-${percents}% (≈${Math.round(capacity)} קוט"ש לסוללה מלאה${referenceCapacity ? `, צפוי ≈${Math.round(referenceCapacity)}` : ''})`;
+};
+
+const checkPrice = (item, medianPrice, thresholds) => {
+  const kw = Number(item.total_kw);
+  if (!medianPrice || !(kw >= thresholds.minKwForPrice)) return null;
+  const pricePerKw = Number(item.total_price) / kw;
+  if (Math.abs(pricePerKw / medianPrice - 1) <= thresholds.priceTolerance) return null;
+  return `₪${pricePerKw.toFixed(2)} לקוט"ש (חציון ₪${medianPrice.toFixed(2)})`;
+};
+
+// Flags pairs of sessions whose time ranges overlap. Returns a Map of index -> detail.
+const findOverlaps = (sessions) => {
+  const overlaps = new Map();
+  const ranges = sessions
+    .map((item, index) => ({ index, start: parseApiDateTime(item.datetime_start), end: parseApiDateTime(item.datetime_end) }))
+    .filter(r => r.start && r.end)
+    .sort((a, b) => a.start - b.start);
+
+  let latest = null; // the range that ends last among those seen so far
+  ranges.forEach(range => {
+    if (latest && range.start < latest.end) {
+      overlaps.set(range.index, `חופפת לטעינה שהחלה ב-${sessions[latest.index].datetime_start}`);
+      if (!overlaps.has(latest.index)) overlaps.set(latest.index, `חופפת לטעינה שהחלה ב-${sessions[range.index].datetime_start}`);
+    }
+    if (!latest || range.end > latest.end) latest = range;
+  });
+  return overlaps;
+};
+
+// Audits a car's charging sessions. `batteryCapacity` (kWh) is used when known; otherwise the
+// car's typical capacity is estimated from the median of its own sessions.
+// Returns one { item, index, reasons } entry per session, in the original order.
+export const auditSessions = (sessions, { chargers = [], radius, batteryCapacity, thresholds = AUDIT_THRESHOLDS } = {}) => {
+  const referenceCapacity = Number(batteryCapacity) || median(sessions
+    .filter(item => Number(item.total_percents) >= thresholds.minPercentsForCapacity)
+    .map(impliedCapacity)
+    .filter(Number.isFinite));
+  const medianPrice = median(sessions
+    .filter(item => Number(item.total_kw) >= thresholds.minKwForPrice)
+    .map(item => Number(item.total_price) / Number(item.total_kw))
+    .filter(Number.isFinite));
+  const overlaps = findOverlaps(sessions);
+
+  return sessions.map((item, index) => {
+    const reasons = [];
+    const addReason = (code, detail) => detail && reasons.push({ code, detail });
+    addReason('far_from_charger', checkLocation(item, chargers, radius));
+    addReason('energy_mismatch', checkEnergy(item, referenceCapacity, thresholds));
+    addReason('overlap', overlaps.get(index));
+    addReason('unusual_price', checkPrice(item, medianPrice, thresholds));
+    return { item, index, reasons };
+  });
+};
+
+export const summarizeAudit = (auditedSessions) => {
+  const flagged = auditedSessions.filter(s => s.reasons.length > 0);
+  const byReason = Object.fromEntries(Object.keys(AUDIT_REASONS).map(code => [code, 0]));
+  flagged.forEach(s => s.reasons.forEach(r => { byReason[r.code] += 1; }));
+  return {
+    total: auditedSessions.length,
+    flagged: flagged.length,
+    flaggedKw: flagged.reduce((sum, s) => sum + (Number(s.item.total_kw) || 0), 0),
+    flaggedPrice: flagged.reduce((sum, s) => sum + (Number(s.item.total_price) || 0), 0),
+    byReason,
+  };
+};
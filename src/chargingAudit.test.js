@@ -0,0 +1,72 @@
+import { auditSessions, summarizeAudit, getSessionLocation } from './chargingAudit';
+
+const chargers = [{ id: 'C1', name: 'בית אדוויס', location_geo: { lat: 32.16165, lng: 34.934 }, radius: 50, polygon: null }];
+
+// A plausible 60 kWh-battery session at the charger, on day `day` of March 2024
+const session = (day, changes) => ({
+  datetime_start: `${String(day).padStart(2, '0')}/03/2024 10:00`,
+  datetime_end: `${String(day).padStart(2, '0')}/03/2024 11:00`,
+  total_kw: '30',
+  total_percents: '50',
+  total_price: '45',
+  lat: 32.16165,
+  lng: 34.934,
+  ...changes,
+});
+
+const audit = (sessions, options) => auditSessions(sessions, { chargers, radius: 50, ...options });
+
+const codesOf = (audited) => audited.map(s => s.reasons.map(reason => reason.code));
+
+describe('getSessionLocation', () => {
+  test('reads lat/lng or latitude/longitude, and null when missing', () => {
+    expect(getSessionLocation({ latitude: '32.1', longitude: '34.9' })).toEqual({ lat: 32.1, lng: 34.9 });
+    expect(getSessionLocation({ lat: 32.1 })).toBeNull();
+  });
+});
+
+describe('auditSessions', () => {
+  test('passes ordinary sessions, in their original order', () => {
+    const sessions = [session(1), session(2), session(3)];
+    const audited = audit(sessions);
+    expect(codesOf(audited)).toEqual([[], [], []]);
+    expect(audited.map(s => s.item)).toEqual(sessions);
+  });
+
+  test('flags a session away from every charger', () => {
+    expect(codesOf(audit([session(1, { lat: 32.2, lng: 34.95 })]))).toEqual([['far_from_charger']]);
+  });
+
+  test('uses the reported distance when the session has no coordinates', () => {
+    const audited = audit([session(1, { lat: null, lng: null, distance: '400' }), session(2, { lat: null, lng: null, distance: '10' })]);
+    expect(codesOf(audited)).toEqual([['far_from_charger'], []]);
+  });
+
+  test('flags energy implausible for the battery change', () => {
+    const audited = audit([session(1), session(2), session(3, { total_kw: '90' }), session(4, { total_kw: '5', total_percents: '0', total_price: '7.5' })]);
+    expect(codesOf(audited)[2]).toContain('energy_mismatch');
+    expect(codesOf(audited)[3]).toEqual(['energy_mismatch']);
+  });
+
+  test('judges energy against a known battery capacity', () => {
+    expect(codesOf(audit([session(1)], { batteryCapacity: 200 }))).toEqual([['energy_mismatch']]);
+  });
+
+  test('flags both sessions of an overlapping pair', () => {
+    const audited = audit([session(1), session(1, { datetime_start: '01/03/2024 10:30', datetime_end: '01/03/2024 11:30' }), session(2)]);
+    expect(codesOf(audited)).toEqual([['overlap'], ['overlap'], []]);
+  });
+
+  test('flags a price per kWh far from the median', () => {
+    const audited = audit([session(1), session(2), session(3, { total_price: '150' })]);
+    expect(codesOf(audited)).toEqual([[], [], ['unusual_price']]);
+  });
+});
+
+describe('summarizeAudit', () => {
+  test('totals flagged sessions and counts reasons', () => {
+    const summary = summarizeAudit(audit([session(1), session(2), session(3, { lat: 32.2, lng: 34.95 })]));
+    expect(summary).toMatchObject({ total: 3, flagged: 1, flaggedKw: 30, flaggedPrice: 45 });
+    expect(summary.byReason.far_from_charger).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+import { getChargingReport } from './api';
+import { splitDateRangeByMonth } from './dates';
+
+// Loads /reports/cars/charging for long date ranges a month at a time, a few months in parallel,
+// and merges the pieces back into one array of sessions per car, like a single report request.
+
+const CONCURRENT_MONTHS = 3;
+
+// A session running past midnight at the end of a month may be reported in both months
+const sessionKey = (item) => `${item.datetime_start}|${item.datetime_end}|${item.total_kw}`;
+
+const mergeSessions = (pieces) => {
+  const seen = new Set();
+  return pieces.flat().filter(item => {
+    const key = sessionKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// `onProgress(loadedMonths, totalMonths)` is called as each month arrives.
+// Rejects with RequestCancelledError when `signal` aborts.
+export const loadChargingReport = async ({ carNumbers, dateFrom, dateTo }, { signal, onProgress } = {}) => {
+  const months = splitDateRangeByMonth({ from: dateFrom, to: dateTo });
+  const results = new Array(months.length);
+  let next = 0;
+  let loaded = 0;
+  let failed = false; // one failed month fails the whole report, so the other workers stop
+  onProgress?.(0, months.length);
+
+  const worker = async () => {
+    while (next < months.length && !failed) {
+      const i = next++;
+      try {
+        results[i] = await getChargingReport({ carNumbers, dateFrom: months[i].from, dateTo: months[i].to }, { signal });
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      loaded += 1;
+      onProgress?.(loaded, months.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENT_MONTHS, months.length) }, worker));
+
+  return carNumbers.map((carNumber, carIndex) => mergeSessions(results.map(data => data[carIndex] || [])));
+};
@@ -0,0 +1,82 @@
+import { parseApiDateTime, parseDurationMinutes } from './dates';
+
+// Client-side aggregations over /reports/cars/charging sessions for the analytics view.
+
+export const PERIODS = {
+  day: 'יומי',
+  week: 'שבועי',
+  month: 'חודשי',
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const round = (value) => Math.round(value * 100) / 100;
+
+// Returns a sortable key and a display label for the period containing `date`.
+// Weeks start on Sunday, as in the Israeli work week.
+const periodOf = (date, period) => {
+  if (period === 'month') {
+    return { key: `${date.getFullYear()}-${pad(date.getMonth() + 1)}`, label: `${pad(date.getMonth() + 1)}/${date.getFullYear()}` };
+  }
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (period === 'week' ? date.getDay() : 0));
+  return {
+    key: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`,
+    label: `${pad(start.getDate())}/${pad(start.getMonth() + 1)}`,
+  };
+};
+
+// kWh, cost and cost per kWh per day/week/month, oldest first
+export const groupByPeriod = (sessions, period) => {
+  const groups = new Map();
+  sessions.forEach(item => {
+    const date = parseApiDateTime(item.datetime_start);
+    if (!date) return;
+    const { key, label } = periodOf(date, period);
+    const group = groups.get(key) || { key, label, kw: 0, price: 0, count: 0 };
+    group.kw += Number(item.total_kw) || 0;
+    group.price += Number(item.total_price) || 0;
+    group.count += 1;
+    groups.set(key, group);
+  });
+  return [...groups.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(g => ({ ...g, kw: round(g.kw), price: round(g.price), pricePerKw: g.kw > 0 ? round(g.price / g.kw) : null }));
+};
+
+export const energyByLocation = (sessions) => {
+  const groups = new Map();
+  sessions.forEach(item => {
+    const location = item.location_name || 'לא ידוע';
+    const group = groups.get(location) || { location, kw: 0, price: 0, count: 0 };
+    group.kw += Number(item.total_kw) || 0;
+    group.price += Number(item.total_price) || 0;
+    group.count += 1;
+    groups.set(location, group);
+  });
+  return [...groups.values()]
+    .map(g => ({ ...g, kw: round(g.kw), price: round(g.price) }))
+    .sort((a, b) => b.kw - a.kw);
+};
+
+export const summarizeSessions = (sessions, radius) => {
+  const durations = sessions.map(item => parseDurationMinutes(item.duration)).filter(d => d != null && Number.isFinite(d));
+  const withDistance = sessions.filter(item => item.distance != null && item.distance !== '' && Number.isFinite(Number(item.distance)));
+  const outOfRadius = withDistance.filter(item => Number(item.distance) > radius).length;
+  const kw = sessions.reduce((sum, item) => sum + (Number(item.total_kw) || 0), 0);
+  const price = sessions.reduce((sum, item) => sum + (Number(item.total_price) || 0), 0);
+  return {
+    count: sessions.length,
+    kw,
+    price,
+    pricePerKw: kw > 0 ? price / kw : null,
+    avgDurationMinutes: durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : null,
+    withDistance: withDistance.length,
+    outOfRadius,
+    outOfRadiusShare: withDistance.length ? outOfRadius / withDistance.length : null,
+  };
+};
+
+export const formatMinutes = (minutes) => {
+  if (minutes == null) return '-';
+  const total = Math.round(minutes);
+  return `${Math.floor(total / 60)}:${pad(total % 60)}`;
+};
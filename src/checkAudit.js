@@ -0,0 +1,111 @@
+import { toCsv } from './download';
+import { INCONCLUSIVE_REASONS } from './positionFix';
+import { POLICY_RULE_LABELS, RADIUS_SOURCE_LABELS } from './verificationPolicy';
+
+// Audit trail of proximity checks: every check run by hand from the dashboard or by live
+// tracking, with what the dispatcher was shown. Entries are never edited;
+// the log outlives logouts so a decision can be traced back later. Beyond MAX_AUDIT_ENTRIES the
+// oldest entries are dropped to stay within the browser's storage quota, live ones first.
+
+const STORAGE_KEY = 'dalkan.checkAudit';
+export const MAX_AUDIT_ENTRIES = 5000;
+
+export const CHECK_STATUS_LABELS = {
+  approved: 'אושר',
+  denied: 'נדחה',
+  inconclusive: 'לא הוכרע',
+  error: 'שגיאה',
+};
+
+export const CHECK_TRIGGER_LABELS = {
+  manual: 'ידנית',
+  live: 'מעקב חי',
+};
+
+// Trims the log to MAX_AUDIT_ENTRIES. Live-tracking entries are dropped first, oldest first;
+// manual checks are the decisions dispatchers acted on and go only when they alone exceed the cap.
+export const capAuditEntries = (entries) => {
+  let excess = entries.length - MAX_AUDIT_ENTRIES;
+  if (excess <= 0) return entries;
+  const kept = entries.filter(entry => {
+    if (excess > 0 && entry.trigger === 'live') {
+      excess -= 1;
+      return false;
+    }
+    return true;
+  });
+  return excess > 0 ? kept.slice(excess) : kept;
+};
+
+export const loadCheckAudit = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? capAuditEntries(JSON.parse(stored)) : [];
+  } catch (error) {
+    console.error(`Error reading ${STORAGE_KEY} from storage:`, error);
+    return [];
+  }
+};
+
+export const saveCheckAudit = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(capAuditEntries(entries)));
+  } catch (error) {
+    console.error(`Error writing ${STORAGE_KEY} to storage:`, error);
+  }
+};
+
+// A self-contained record of one check: names are copied rather than referenced, since cars,
+// chargers and the policy may change or be deleted afterwards.
+export const createAuditEntry = ({ result, user, car, charger, carInfo, radius, radiusSource, policyName, trigger }) => {
+  const timestamp = result.checkedAt || new Date().toISOString();
+  return {
+    id: `${new Date(timestamp).getTime()}-${car.car_number}-${charger.id}`,
+    timestamp,
+    user,
+    trigger,
+    car_number: car.car_number,
+    car_label: `${car.brand || ''} ${car.model || ''}`.trim(),
+    charger_id: charger.id,
+    charger_name: charger.name,
+    charger_lat: charger.location_geo.lat,
+    charger_lng: charger.location_geo.lng,
+    lat: carInfo?.lat ?? null,
+    lng: carInfo?.lng ?? null,
+    accuracy: result.accuracy ?? null,
+    position_time: result.positionTime ?? null,
+    distance: result.distance ?? null,
+    radius,
+    radius_source: radiusSource,
+    rule: result.rule ?? null,
+    status: result.status,
+    message: result.message || null,
+    reasons: result.reasons || [],
+    rules: result.rules || [],
+    car_group: result.carGroup || null,
+    policy_name: policyName || null,
+  };
+};
+
+// Plain-text summary of why a check came out as it did
+export const describeAuditOutcome = (entry) => {
+  if (entry.status === 'error') return entry.message || '';
+  const failed = entry.rules
+    .filter(rule => rule.passed !== true)
+    .map(rule => `${POLICY_RULE_LABELS[rule.code]}: ${rule.detail}`);
+  const reasons = entry.reasons.map(reason => `${INCONCLUSIVE_REASONS[reason.code]}: ${reason.detail}`);
+  return [...failed, ...reasons].join('; ');
+};
+
+export const auditToCsv = (entries) => {
+  const headers = [
+    "מועד הבדיקה", "משתמש", "הפעלה", "מספר רכב", "רכב", "עמדה", "קו רוחב", "קו אורך", "דיוק (מ')", "מועד המיקום",
+    "מרחק (מ')", "רדיוס (מ')", "מקור הרדיוס", "תוצאה", "פירוט", "מדיניות",
+  ];
+  const rows = entries.map(entry => [
+    entry.timestamp, entry.user, CHECK_TRIGGER_LABELS[entry.trigger], entry.car_number, entry.car_label, entry.charger_name,
+    entry.lat, entry.lng, entry.accuracy, entry.position_time, entry.distance, entry.radius,
+    RADIUS_SOURCE_LABELS[entry.radius_source], CHECK_STATUS_LABELS[entry.status], describeAuditOutcome(entry), entry.policy_name,
+  ]);
+  return toCsv(headers, rows);
+};
@@ -0,0 +1,24 @@
+import { capAuditEntries, MAX_AUDIT_ENTRIES } from './checkAudit';
+
+const entries = (count, trigger, from = 0) => Array.from({ length: count }, (_, i) => ({ id: `${trigger}-${from + i}`, trigger }));
+
+describe('capAuditEntries', () => {
+  test('keeps a log within the cap unchanged', () => {
+    const log = entries(10, 'live');
+    expect(capAuditEntries(log)).toBe(log);
+  });
+
+  test('drops the oldest live checks before any manual one', () => {
+    const log = [...entries(5, 'live'), ...entries(MAX_AUDIT_ENTRIES - 5, 'manual'), ...entries(5, 'live', 5)];
+    const capped = capAuditEntries(log);
+    expect(capped).toHaveLength(MAX_AUDIT_ENTRIES);
+    expect(capped.filter(entry => entry.trigger === 'manual')).toHaveLength(MAX_AUDIT_ENTRIES - 5);
+    expect(capped.filter(entry => entry.trigger === 'live').map(entry => entry.id)).toEqual(['live-5', 'live-6', 'live-7', 'live-8', 'live-9']);
+  });
+
+  test('drops the oldest manual checks only when they alone exceed the cap', () => {
+    const capped = capAuditEntries([...entries(3, 'live'), ...entries(MAX_AUDIT_ENTRIES + 2, 'manual')]);
+    expect(capped).toHaveLength(MAX_AUDIT_ENTRIES);
+    expect(capped[0].id).toBe('manual-2');
+  });
+});
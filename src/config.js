@@ -0,0 +1,12 @@
+// --- API Configuration ---
+// REACT_APP_API_BASE_URL points the app at another server, e.g. the local mock API (mock-server/).
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://nx-api.info/api/bi/external';
+export const GOOGLE_MAPS_API_KEY = process.env.REACT_APP_GOOGLE_MAPS_API_KEY;
+
+// Every Wrapper must load the Maps script with the same options, or the loader throws.
+export const GOOGLE_MAPS_OPTIONS = { libraries: ['places'], language: 'he', region: 'IL' };
+
+// Dashboard map provider: 'google', 'leaflet' or 'schematic'. Unset picks Google when a key is configured, otherwise Leaflet.
+export const MAP_PROVIDER = process.env.REACT_APP_MAP_PROVIDER;
+// Tile server for the Leaflet provider; defaults to the public OpenStreetMap tiles.
+export const MAP_TILE_URL = process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
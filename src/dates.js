@@ -0,0 +1,57 @@
+// Date helpers for the reports API, which takes and returns day-first dates (DD/MM/YYYY).
+
+export const formatDateForApi = (dateString) => {
+  if (!dateString) return null;
+  const [year, month, day] = dateString.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+// YYYY-MM-DD for a Date, as used by date inputs and in URLs
+export const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+// True for a real calendar day written as YYYY-MM-DD (what date inputs and our URLs carry)
+export const isIsoDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Splits an ISO date range (inclusive) into calendar-month pieces: 2024-01-15..2024-03-10 becomes
+// 01-15..01-31, 02-01..02-29, 03-01..03-10. Returns [] when `from` is after `to` or either end
+// is not a valid YYYY-MM-DD date.
+export const splitDateRangeByMonth = ({ from, to }) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const ranges = [];
+  if (!isIsoDate(from) || !isIsoDate(to)) return ranges;
+  let [year, month, day] = from.split('-').map(Number);
+  while (`${year}-${pad(month)}-${pad(day)}` <= to) {
+    const lastDay = new Date(year, month, 0).getDate();
+    const monthEnd = `${year}-${pad(month)}-${pad(lastDay)}`;
+    ranges.push({ from: `${year}-${pad(month)}-${pad(day)}`, to: monthEnd < to ? monthEnd : to });
+    [year, month, day] = month === 12 ? [year + 1, 1, 1] : [year, month + 1, 1];
+  }
+  return ranges;
+};
+
+// Parses "DD/MM/YYYY HH:mm[:ss]" (as returned by the reports API) or any ISO string.
+// Returns null when the value can't be parsed.
+export const parseApiDateTime = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  const date = match
+    ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]), Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parses a session duration given as "HH:mm[:ss]" or as a number of minutes. Returns minutes or null.
+export const parseDurationMinutes = (value) => {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value;
+  const parts = String(value).trim().split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  if (parts.length === 1) return parts[0];
+  const [hours, minutes, seconds = 0] = parts;
+  return hours * 60 + minutes + seconds / 60;
+};
@@ -0,0 +1,43 @@
+import { isIsoDate, splitDateRangeByMonth } from './dates';
+
+describe('isIsoDate', () => {
+  test('accepts real calendar days only', () => {
+    expect(isIsoDate('2024-02-29')).toBe(true);
+    expect(isIsoDate('2023-02-29')).toBe(false);
+    expect(isIsoDate('2024-13-01')).toBe(false);
+    expect(isIsoDate('2024-1-5')).toBe(false);
+    expect(isIsoDate('')).toBe(false);
+    expect(isIsoDate(null)).toBe(false);
+  });
+});
+
+describe('splitDateRangeByMonth', () => {
+  test('splits a range into calendar months, inclusive of both ends', () => {
+    expect(splitDateRangeByMonth({ from: '2024-01-15', to: '2024-03-10' })).toEqual([
+      { from: '2024-01-15', to: '2024-01-31' },
+      { from: '2024-02-01', to: '2024-02-29' },
+      { from: '2024-03-01', to: '2024-03-10' },
+    ]);
+  });
+
+  test('crosses a year boundary', () => {
+    expect(splitDateRangeByMonth({ from: '2023-12-20', to: '2024-01-05' })).toEqual([
+      { from: '2023-12-20', to: '2023-12-31' },
+      { from: '2024-01-01', to: '2024-01-05' },
+    ]);
+  });
+
+  test('returns a single piece for a range within one month', () => {
+    expect(splitDateRangeByMonth({ from: '2024-05-07', to: '2024-05-07' })).toEqual([{ from: '2024-05-07', to: '2024-05-07' }]);
+  });
+
+  test('returns nothing for a reversed range', () => {
+    expect(splitDateRangeByMonth({ from: '2024-03-01', to: '2024-02-01' })).toEqual([]);
+  });
+
+  test('returns nothing when either end is not a valid date', () => {
+    expect(splitDateRangeByMonth({ from: '', to: '2024-02-01' })).toEqual([]);
+    expect(splitDateRangeByMonth({ from: '1', to: '2024-02-01' })).toEqual([]);
+    expect(splitDateRangeByMonth({ from: '2024-01-01', to: undefined })).toEqual([]);
+  });
+});
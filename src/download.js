@@ -0,0 +1,19 @@
+// Triggers a browser download for generated content.
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.setAttribute("href", url);
+  link.setAttribute("download", filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Builds CSV text with every field quoted and embedded quotes doubled (RFC 4180).
+// The BOM makes Excel open Hebrew text with the right encoding.
+export const toCsv = (headers, rows) => {
+  const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  return '\uFEFF' + [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+};
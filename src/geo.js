@@ -0,0 +1,101 @@
+// Helper function to calculate distance between two lat/lng points in meters
+export const getDistanceInMeters = (lat1, lon1, lat2, lon2) => {
+  if (lat1 === null || lon1 === null || lat2 === null || lon2 === null) return Infinity;
+  const R = 6371e3; // metres
+  const φ1 = lat1 * Math.PI/180;
+  const φ2 = lat2 * Math.PI/180;
+  const Δφ = (lat2-lat1) * Math.PI/180;
+  const Δλ = (lon2-lon1) * Math.PI/180;
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return R * c; // in metres
+}
+
+// Returns { charger, distance } for the registered charger closest to the point,
+// or null when the point or the registry is empty.
+export const findNearestCharger = (lat, lng, chargers) => {
+  if (lat == null || lng == null) return null;
+  let nearest = null;
+  chargers.forEach(charger => {
+    const distance = getDistanceInMeters(lat, lng, charger.location_geo.lat, charger.location_geo.lng);
+    if (!nearest || distance < nearest.distance) nearest = { charger, distance };
+  });
+  return nearest;
+};
+
+// Ray-casting point-in-polygon test. Treats lat/lng as planar coordinates,
+// which is accurate enough at the scale of a parking lot.
+export const isPointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const { lat: latI, lng: lngI } = polygon[i];
+    const { lat: latJ, lng: lngJ } = polygon[j];
+    const intersects = (latI > lat) !== (latJ > lat) &&
+      lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+export const hasPolygon = (charger) => Array.isArray(charger?.polygon) && charger.polygon.length >= 3;
+
+// Decides whether a point is inside a charger's geofence. A drawn polygon takes precedence;
+// chargers without one fall back to the circular radius around the charger point.
+// Returns { inside, distance, rule: 'polygon' | 'radius' }.
+export const evaluateGeofence = (lat, lng, charger, radius) => {
+  const distance = getDistanceInMeters(lat, lng, charger.location_geo.lat, charger.location_geo.lng);
+  if (hasPolygon(charger)) {
+    return { inside: isPointInPolygon(lat, lng, charger.polygon), distance, rule: 'polygon' };
+  }
+  return { inside: distance <= radius, distance, rule: 'radius' };
+};
+
+export const GEOFENCE_RULE_LABELS = {
+  polygon: 'פוליגון',
+  radius: 'רדיוס',
+};
+
+const EARTH_RADIUS = 6371e3; // metres
+
+// Projects a point to metres east (x) and north (y) of an origin. An equirectangular
+// approximation, accurate to well under a metre at charger-site scale.
+export const toLocalMeters = (origin, point) => ({
+  x: (point.lng - origin.lng) * Math.PI / 180 * EARTH_RADIUS * Math.cos(origin.lat * Math.PI / 180),
+  y: (point.lat - origin.lat) * Math.PI / 180 * EARTH_RADIUS,
+});
+
+// Approximates a circle of `radius` metres around `center` as a closed lat/lng path
+export const circlePath = (center, radius, segments = 36) => Array.from({ length: segments + 1 }, (_, i) => {
+  const angle = (i / segments) * 2 * Math.PI;
+  return {
+    lat: center.lat + (radius * Math.cos(angle) / EARTH_RADIUS) * 180 / Math.PI,
+    lng: center.lng + (radius * Math.sin(angle) / (EARTH_RADIUS * Math.cos(center.lat * Math.PI / 180))) * 180 / Math.PI,
+  };
+});
+
+// A round scale-bar length (1, 2 or 5 times a power of ten) of at least `targetMeters`
+export const niceScaleLength = (targetMeters) => {
+  const magnitude = 10 ** Math.floor(Math.log10(targetMeters));
+  return [1, 2, 5, 10].map(m => m * magnitude).find(m => m >= targetMeters) || targetMeters;
+};
+
+// Shortest distance in metres from a point to the outline of a polygon (inside or out)
+export const distanceToPolygonEdge = (lat, lng, polygon) => {
+  const origin = { lat, lng };
+  const vertices = polygon.map(point => toLocalMeters(origin, point));
+  let min = Infinity;
+  vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Projection of the origin onto segment a-b, clamped to the segment
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    min = Math.min(min, Math.hypot(a.x + t * dx, a.y + t * dy));
+  });
+  return min;
+};
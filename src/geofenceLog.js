@@ -0,0 +1,78 @@
+import { evaluateGeofence } from './geo';
+
+// Persistent log of geofence transitions (a car entering or leaving a charger's polygon or radius).
+// The last known inside/outside state per car and charger is persisted too, so a reload
+// doesn't turn the next observation into a spurious event.
+
+const EVENTS_KEY = 'dalkan.geofenceEvents';
+const STATE_KEY = 'dalkan.geofenceState';
+const MAX_EVENTS = 5000;
+
+export const EVENT_LABELS = {
+  entered: 'נכנס',
+  exited: 'יצא',
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key} from storage:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key} to storage:`, error);
+  }
+};
+
+export const loadGeofenceEvents = () => readJson(EVENTS_KEY, []);
+export const saveGeofenceEvents = (events) => writeJson(EVENTS_KEY, events.slice(-MAX_EVENTS));
+export const loadGeofenceState = () => readJson(STATE_KEY, {});
+export const saveGeofenceState = (state) => writeJson(STATE_KEY, state);
+
+// Compares fresh car positions with the previous state ({ [car_number]: { [charger_id]: boolean } })
+// and returns the updated state plus an event for every crossing of a charger's radius.
+// `radiusFor(carNumber, charger)` gives the radius that applies to the car at that charger.
+// The first sighting of a car/charger pair only records state: we can't know when it crossed.
+export const detectTransitions = (previousState, carInfos, chargers, radiusFor, now = new Date()) => {
+  const state = { ...previousState };
+  const events = [];
+
+  carInfos.forEach(carInfo => {
+    if (carInfo.lat == null || carInfo.lng == null) return;
+    const carState = { ...(state[carInfo.car_number] || {}) };
+
+    chargers.forEach(charger => {
+      const radius = radiusFor(carInfo.car_number, charger);
+      const { inside, distance, rule } = evaluateGeofence(carInfo.lat, carInfo.lng, charger, radius);
+      const wasInside = carState[charger.id];
+
+      if (wasInside !== undefined && wasInside !== inside) {
+        events.push({
+          id: `${now.getTime()}-${carInfo.car_number}-${charger.id}`,
+          type: inside ? 'entered' : 'exited',
+          timestamp: now.toISOString(),
+          car_number: carInfo.car_number,
+          charger_id: charger.id,
+          charger_name: charger.name,
+          lat: carInfo.lat,
+          lng: carInfo.lng,
+          distance: Math.round(distance),
+          radius,
+          rule,
+        });
+      }
+      carState[charger.id] = inside;
+    });
+
+    state[carInfo.car_number] = carState;
+  });
+
+  return { state, events };
+};
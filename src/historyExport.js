@@ -0,0 +1,74 @@
+import * as XLSX from 'xlsx';
+import { parseApiDateTime, formatDateForApi } from './dates';
+import { downloadFile, toCsv } from './download';
+
+// Charging history exports: a typed, right-to-left XLSX workbook, and a CSV fallback.
+
+const HEADERS = ["תאריך התחלה", "תאריך סיום", "משך", "אחוז התחלה", "אחוז סיום", "סה\"כ קוט\"ש", "עלות", "מיקום", "מרחק מהעמדה (מ')"];
+const COLUMN_WIDTHS = [18, 18, 10, 12, 12, 12, 10, 30, 16];
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+};
+
+// Dates become real date cells when they parse; otherwise the original text is kept
+const toDate = (value) => parseApiDateTime(value) || value || null;
+
+const sessionRow = (item) => [
+  toDate(item.datetime_start),
+  toDate(item.datetime_end),
+  item.duration,
+  toNumber(item.percents_start),
+  toNumber(item.percents_end),
+  toNumber(item.total_kw),
+  toNumber(item.total_price),
+  item.location_name,
+  toNumber(item.distance),
+];
+
+const buildSheet = (rows) => {
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: 'dd/mm/yyyy hh:mm' });
+  sheet['!cols'] = COLUMN_WIDTHS.map(wch => ({ wch }));
+  return sheet;
+};
+
+const sum = (sessions, field) => sessions.reduce((total, item) => total + (Number(item[field]) || 0), 0);
+
+export const buildHistoryWorkbook = (sessions, { car, radius, dateRange }) => {
+  const outOfRadius = sessions.filter(item => Number(item.distance) > radius);
+
+  const summaryRows = [
+    ["רכב", `${car.brand || ''} ${car.model || ''}`.trim()],
+    ["מספר רכב", car.car_number],
+    ["מתאריך", formatDateForApi(dateRange.from)],
+    ["עד תאריך", formatDateForApi(dateRange.to)],
+    ["רדיוס אימות (מ')", radius],
+    [],
+    ["מספר טעינות", sessions.length],
+    ["סה\"כ קוט\"ש", sum(sessions, 'total_kw')],
+    ["סה\"כ עלות (₪)", sum(sessions, 'total_price')],
+    ["טעינות מחוץ לרדיוס", outOfRadius.length],
+    ["קוט\"ש מחוץ לרדיוס", sum(outOfRadius, 'total_kw')],
+    ["עלות מחוץ לרדיוס (₪)", sum(outOfRadius, 'total_price')],
+  ];
+  const summarySheet = XLSX.utils.aoa_to_sheet(summaryRows);
+  summarySheet['!cols'] = [{ wch: 24 }, { wch: 24 }];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'סיכום');
+  XLSX.utils.book_append_sheet(workbook, buildSheet([HEADERS, ...sessions.map(sessionRow)]), 'טעינות');
+  XLSX.utils.book_append_sheet(workbook, buildSheet([HEADERS, ...outOfRadius.map(sessionRow)]), 'מחוץ לרדיוס');
+  workbook.Workbook = { Views: [{ RTL: true }] };
+  return workbook;
+};
+
+export const exportHistoryToXlsx = (sessions, options) => {
+  XLSX.writeFile(buildHistoryWorkbook(sessions, options), `charging_history_${options.car.car_number}.xlsx`, { cellDates: true });
+};
+
+export const exportHistoryToCsv = (sessions, { car }) => {
+  const rows = sessions.map(item => [item.datetime_start, item.datetime_end, item.duration, item.percents_start, item.percents_end, item.total_kw, item.total_price, item.location_name, item.distance]);
+  downloadFile(toCsv(HEADERS, rows), `charging_history_${car.car_number}.csv`, 'text/csv;charset=utf-8');
+};
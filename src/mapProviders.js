@@ -0,0 +1,34 @@
+import GoogleMapView from './GoogleMapView';
+import LeafletMapView from './LeafletMapView';
+import SchematicMapView from './SchematicMapView';
+import { GOOGLE_MAPS_API_KEY, MAP_PROVIDER } from './config';
+
+// Map providers for the dashboard map. Each one is a component taking
+// { carDetails, charger, radius, trail } and drawing the car, the charger's geofence and the trail.
+export const MAP_PROVIDERS = {
+  google: { label: 'Google Maps', component: GoogleMapView, isAvailable: () => !!GOOGLE_MAPS_API_KEY },
+  leaflet: { label: 'OpenStreetMap', component: LeafletMapView, isAvailable: () => true },
+  schematic: { label: 'שרטוט', component: SchematicMapView, isAvailable: () => true },
+};
+
+const STORAGE_KEY = 'dalkan.mapProvider';
+
+const isUsable = (key) => !!MAP_PROVIDERS[key] && MAP_PROVIDERS[key].isAvailable();
+
+export const getAvailableMapProviders = () => Object.keys(MAP_PROVIDERS).filter(isUsable);
+
+// The dispatcher's last choice, then REACT_APP_MAP_PROVIDER, then Google when a key is configured, then Leaflet
+export const loadMapProvider = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (isUsable(stored)) return stored;
+  if (isUsable(MAP_PROVIDER)) return MAP_PROVIDER;
+  return isUsable('google') ? 'google' : 'leaflet';
+};
+
+export const saveMapProvider = (key) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, key);
+  } catch (error) {
+    console.error('Error saving the map provider to storage:', error);
+  }
+};
@@ -0,0 +1,101 @@
+// Persistent cache of API data in IndexedDB, so the fleet and past sessions can still be viewed
+// with a poor or missing connection. Entries are { key, value, updatedAt } records.
+
+const DB_NAME = 'dalkan-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+const MAX_HISTORY_ENTRIES = 50; // car/date-range combinations kept; the oldest are dropped
+
+export const CACHE_KEYS = {
+  cars: 'cars',
+  history: (carNumber, dateRange) => `history:${carNumber}:${dateRange.from}:${dateRange.to}`,
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Runs `operation(store)` in a transaction and resolves with the request's result
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// The cache is a convenience: when IndexedDB is unavailable (private mode, quota) reads miss
+// and writes are dropped, and the app behaves as if nothing was cached.
+export const readCache = async (key) => {
+  try {
+    return (await withStore('readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.warn('Failed to read from the offline cache:', error);
+    return null;
+  }
+};
+
+export const writeCache = async (key, value) => {
+  const entry = { key, value, updatedAt: new Date().toISOString() };
+  try {
+    await withStore('readwrite', store => store.put(entry));
+    if (key.startsWith('history:')) await pruneHistory();
+  } catch (error) {
+    console.warn('Failed to write to the offline cache:', error);
+  }
+  return entry;
+};
+
+const pruneHistory = async () => {
+  const entries = await withStore('readonly', store => store.getAll());
+  const stale = entries
+    .filter(entry => entry.key.startsWith('history:'))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(MAX_HISTORY_ENTRIES);
+  if (stale.length > 0) await withStore('readwrite', store => stale.forEach(entry => store.delete(entry.key)));
+};
+
+// Cached data belongs to the signed-in dispatcher; dropped on logout and when the session expires
+export const clearCache = async () => {
+  try {
+    await withStore('readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('Failed to clear the offline cache:', error);
+  }
+};
+
+// Stale-while-revalidate: reports the cached value through `onValue` straight away, then fetches
+// and reports the fresh one. `onValue(value, { updatedAt, fromCache })` may be called twice.
+// When the fetch fails, the error is rethrown only if there was nothing cached to show;
+// otherwise it resolves with { error } so the caller can say the data may be out of date.
+export const loadWithCache = async (key, fetcher, onValue) => {
+  const cached = await readCache(key);
+  if (cached) onValue(cached.value, { updatedAt: cached.updatedAt, fromCache: true });
+  try {
+    const value = await fetcher();
+    const entry = await writeCache(key, value);
+    onValue(value, { updatedAt: entry.updatedAt, fromCache: false });
+    return { error: null };
+  } catch (error) {
+    if (!cached) throw error;
+    return { error };
+  }
+};
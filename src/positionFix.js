@@ -0,0 +1,82 @@
+import { parseApiDateTime } from './dates';
+import { evaluateGeofence, distanceToPolygonEdge } from './geo';
+
+// GPS fix quality for proximity decisions. /cars/info doesn't always say when a position was
+// taken or how accurate it is, so both are optional; without them a check decides as before.
+
+const STORAGE_KEY = 'dalkan.positionThresholds';
+
+export const DEFAULT_POSITION_THRESHOLDS = {
+  maxAgeMinutes: 15,      // older fixes can't confirm where the car is now
+  maxAccuracyMeters: 100, // fixes with a larger error radius are not trusted at all
+};
+
+// Field names seen across telematics providers, in order of preference
+const TIMESTAMP_FIELDS = ['gps_time', 'position_time', 'location_time', 'last_update', 'timestamp'];
+const ACCURACY_FIELDS = ['gps_accuracy', 'accuracy', 'position_accuracy'];
+
+export const INCONCLUSIVE_REASONS = {
+  stale: 'מיקום לא עדכני',
+  low_accuracy: 'דיוק מיקום נמוך',
+  straddles_boundary: 'טווח הדיוק חוצה את גבול הגדר',
+};
+
+const hasValue = (value) => value != null && value !== '';
+
+// { timestamp: Date | null, accuracy: metres | null } for a /cars/info record
+export const getPositionFix = (carInfo) => {
+  const timestampField = TIMESTAMP_FIELDS.find(field => hasValue(carInfo?.[field]));
+  const accuracyField = ACCURACY_FIELDS.find(field => hasValue(carInfo?.[field]) && Number.isFinite(Number(carInfo[field])));
+  return {
+    timestamp: timestampField ? parseApiDateTime(carInfo[timestampField]) : null,
+    accuracy: accuracyField ? Number(carInfo[accuracyField]) : null,
+  };
+};
+
+// Decides proximity for a car's reported position. The outcome is 'approved' or 'denied' as the
+// geofence decides, or 'inconclusive' when the fix is too old, too inaccurate, or its accuracy
+// circle reaches across the geofence boundary so the car could be on either side.
+export const assessProximity = (carInfo, charger, radius, thresholds = DEFAULT_POSITION_THRESHOLDS, now = Date.now()) => {
+  const { timestamp, accuracy } = getPositionFix(carInfo);
+  const { inside, distance, rule } = evaluateGeofence(carInfo.lat, carInfo.lng, charger, radius);
+  const ageMinutes = timestamp ? Math.max(0, (now - timestamp.getTime()) / 60000) : null;
+  const boundaryDistance = rule === 'polygon' ? distanceToPolygonEdge(carInfo.lat, carInfo.lng, charger.polygon) : Math.abs(distance - radius);
+
+  const reasons = [];
+  if (ageMinutes != null && ageMinutes > thresholds.maxAgeMinutes) {
+    reasons.push({ code: 'stale', detail: `המיקום התקבל לפני ${Math.round(ageMinutes)} דקות (סף: ${thresholds.maxAgeMinutes} דקות)` });
+  }
+  if (accuracy != null && accuracy > thresholds.maxAccuracyMeters) {
+    reasons.push({ code: 'low_accuracy', detail: `דיוק של ±${Math.round(accuracy)} מ' (סף: ${thresholds.maxAccuracyMeters} מ')` });
+  } else if (accuracy != null && accuracy >= boundaryDistance) {
+    reasons.push({ code: 'straddles_boundary', detail: `דיוק של ±${Math.round(accuracy)} מ', ${Math.round(boundaryDistance)} מ' מגבול הגדר` });
+  }
+
+  return {
+    status: reasons.length > 0 ? 'inconclusive' : inside ? 'approved' : 'denied',
+    inside,
+    distance,
+    rule,
+    accuracy,
+    positionTime: timestamp ? timestamp.toISOString() : null,
+    reasons,
+  };
+};
+
+export const loadPositionThresholds = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_POSITION_THRESHOLDS, ...stored };
+  } catch (error) {
+    console.warn('Failed to load position thresholds, using defaults:', error);
+    return DEFAULT_POSITION_THRESHOLDS;
+  }
+};
+
+export const savePositionThresholds = (thresholds) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(thresholds));
+  } catch (error) {
+    console.error('Error saving position thresholds to storage:', error);
+  }
+};
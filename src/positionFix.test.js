@@ -0,0 +1,55 @@
+import { assessProximity, getPositionFix } from './positionFix';
+
+const charger = { id: 'C1', name: 'עמדה', location_geo: { lat: 32, lng: 34.8 }, radius: 50, polygon: null };
+const now = new Date(2024, 4, 1, 12, 0).getTime();
+const minutesAgo = (minutes) => new Date(now - minutes * 60000).toISOString();
+
+// About 111 m per 0.001° of latitude
+const carAt = (metresNorth, fields = {}) => ({ car_number: '1234567', lat: 32 + metresNorth / 111195, lng: 34.8, ...fields });
+
+describe('getPositionFix', () => {
+  test('prefers gps_time over the other timestamp fields and reads a numeric accuracy', () => {
+    const fix = getPositionFix({ timestamp: '01/05/2024 11:00', gps_time: '01/05/2024 11:55', accuracy: '12' });
+    expect(fix.timestamp).toEqual(new Date(2024, 4, 1, 11, 55));
+    expect(fix.accuracy).toBe(12);
+  });
+
+  test('returns nulls when the record has neither', () => {
+    expect(getPositionFix({ lat: 32, lng: 34.8 })).toEqual({ timestamp: null, accuracy: null });
+  });
+});
+
+describe('assessProximity', () => {
+  test('decides by the geofence when the fix carries no quality information', () => {
+    expect(assessProximity(carAt(20), charger, 50, undefined, now).status).toBe('approved');
+    expect(assessProximity(carAt(200), charger, 50, undefined, now).status).toBe('denied');
+  });
+
+  test('is inconclusive for a stale fix', () => {
+    const result = assessProximity(carAt(20, { gps_time: minutesAgo(30) }), charger, 50, undefined, now);
+    expect(result.status).toBe('inconclusive');
+    expect(result.reasons.map(r => r.code)).toEqual(['stale']);
+  });
+
+  test('is inconclusive for a fix less accurate than the threshold', () => {
+    const result = assessProximity(carAt(20, { accuracy: 250 }), charger, 50, undefined, now);
+    expect(result.reasons.map(r => r.code)).toEqual(['low_accuracy']);
+  });
+
+  test('is inconclusive when the accuracy circle crosses the geofence boundary', () => {
+    const result = assessProximity(carAt(45, { accuracy: 10 }), charger, 50, undefined, now);
+    expect(result.status).toBe('inconclusive');
+    expect(result.reasons.map(r => r.code)).toEqual(['straddles_boundary']);
+  });
+
+  test('decides when an accurate, recent fix is clear of the boundary', () => {
+    const result = assessProximity(carAt(10, { accuracy: 5, gps_time: minutesAgo(2) }), charger, 50, undefined, now);
+    expect(result.status).toBe('approved');
+    expect(result.accuracy).toBe(5);
+  });
+
+  test('honours custom thresholds', () => {
+    const result = assessProximity(carAt(10, { gps_time: minutesAgo(30) }), charger, 50, { maxAgeMinutes: 60, maxAccuracyMeters: 100 }, now);
+    expect(result.status).toBe('approved');
+  });
+});
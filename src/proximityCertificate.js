@@ -0,0 +1,220 @@
+import { jsPDF } from 'jspdf';
+import { GOOGLE_MAPS_API_KEY } from './config';
+import { hasPolygon, toLocalMeters, circlePath, niceScaleLength, GEOFENCE_RULE_LABELS } from './geo';
+import { INCONCLUSIVE_REASONS } from './positionFix';
+import { POLICY_RULE_LABELS, RADIUS_SOURCE_LABELS } from './verificationPolicy';
+
+// Builds a PDF certificate for a proximity check, to attach to billing disputes.
+// Only decided checks (approved or denied) are certified; an inconclusive check has no outcome to attest.
+// jsPDF's built-in fonts have no Hebrew glyphs, so the page is laid out on a canvas
+// (where the browser handles RTL text shaping) and embedded in the PDF as an image.
+
+const PAGE_WIDTH = 1240; // A4 at 150 DPI
+const PAGE_HEIGHT = 1754;
+const MARGIN = 90;
+const MAP_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const MAP_HEIGHT = 620; // shrinks when policy rules need the room
+const FOOTER_SPACE = 110;
+const FONT = 'Arial, "Segoe UI", sans-serif';
+
+const COLORS = {
+  brand: '#3B82F6',
+  text: '#1F2937',
+  muted: '#6B7280',
+  approved: '#059669',
+  denied: '#DC2626',
+  car: '#3B82F6',
+  charger: '#F59E0B',
+  fence: '#10B981',
+};
+
+const formatCoords = ({ lat, lng }) => `${Number(lat).toFixed(6)}, ${Number(lng).toFixed(6)}`;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = reject;
+  image.src = src;
+});
+
+const RULE_OUTCOME_LABELS = { true: 'עבר', false: 'נכשל', null: 'לא הוכרע' };
+
+const staticMapUrl = (carPosition, charger, radius, mapHeight) => {
+  const fence = hasPolygon(charger) ? [...charger.polygon, charger.polygon[0]] : circlePath(charger.location_geo, radius);
+  const params = [
+    `size=${MAP_WIDTH / 2}x${Math.round(mapHeight / 2)}`,
+    'scale=2',
+    'language=he',
+    `path=${encodeURIComponent(`color:0x10B981CC|weight:2|fillcolor:0x10B98133|${fence.map(p => `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`).join('|')}`)}`,
+    `markers=${encodeURIComponent(`color:orange|label:E|${charger.location_geo.lat},${charger.location_geo.lng}`)}`,
+    `markers=${encodeURIComponent(`color:blue|label:C|${carPosition.lat},${carPosition.lng}`)}`,
+    `key=${GOOGLE_MAPS_API_KEY}`,
+  ];
+  return `https://maps.googleapis.com/maps/api/staticmap?${params.join('&')}`;
+};
+
+// Offline fallback: a to-scale schematic of the geofence, charger and car
+const drawSchematic = (ctx, x, y, width, height, carPosition, charger, radius) => {
+  const origin = charger.location_geo;
+  const fence = (hasPolygon(charger) ? charger.polygon : circlePath(origin, radius)).map(p => toLocalMeters(origin, p));
+  const car = toLocalMeters(origin, carPosition);
+  const points = [...fence, car, { x: 0, y: 0 }];
+  const extentX = Math.max(...points.map(p => Math.abs(p.x)), 1);
+  const extentY = Math.max(...points.map(p => Math.abs(p.y)), 1);
+  const scale = Math.min((width / 2 - 40) / extentX, (height / 2 - 40) / extentY);
+  const toCanvas = (p) => ({ x: x + width / 2 + p.x * scale, y: y + height / 2 - p.y * scale });
+
+  ctx.fillStyle = '#F3F4F6';
+  ctx.fillRect(x, y, width, height);
+
+  ctx.beginPath();
+  fence.map(toCanvas).forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(16, 185, 129, 0.2)';
+  ctx.fill();
+  ctx.strokeStyle = COLORS.fence;
+  ctx.lineWidth = 3;
+  ctx.stroke();
+
+  const drawPoint = (p, color, radiusPx) => {
+    const { x: px, y: py } = toCanvas(p);
+    ctx.beginPath();
+    ctx.arc(px, py, radiusPx, 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+  };
+  drawPoint({ x: 0, y: 0 }, COLORS.charger, 14);
+  drawPoint(car, COLORS.car, 16);
+
+  // Scale bar: a round number of metres close to a fifth of the width
+  const barMeters = niceScaleLength((width / 5) / scale);
+  const barPx = barMeters * scale;
+  ctx.strokeStyle = COLORS.text;
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(x + 30, y + height - 30);
+  ctx.lineTo(x + 30 + barPx, y + height - 30);
+  ctx.stroke();
+  ctx.fillStyle = COLORS.text;
+  ctx.font = `24px ${FONT}`;
+  ctx.textAlign = 'left';
+  ctx.direction = 'ltr';
+  ctx.fillText(`${barMeters} m`, x + 30, y + height - 42);
+  ctx.fillText('N ↑', x + width - 70, y + 40);
+};
+
+const drawRows = (ctx, rows, top) => {
+  const labelX = PAGE_WIDTH - MARGIN;
+  const valueX = PAGE_WIDTH - MARGIN - 300;
+  rows.forEach(([label, value], i) => {
+    const rowY = top + i * 52;
+    if (i % 2 === 0) {
+      ctx.fillStyle = '#F9FAFB';
+      ctx.fillRect(MARGIN, rowY - 34, PAGE_WIDTH - MARGIN * 2, 52);
+    }
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = `bold 26px ${FONT}`;
+    ctx.fillText(label, labelX - 10, rowY);
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `26px ${FONT}`;
+    ctx.fillText(String(value ?? '-'), valueX, rowY, valueX - MARGIN - 10);
+  });
+  return top + rows.length * 52;
+};
+
+// Everything comes from the check result, which holds what the decision was made on:
+// the dashboard's radius, charger and car position may have moved on since.
+const renderCertificate = async (result) => {
+  const { car, charger, position, radius } = result;
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE_WIDTH;
+  canvas.height = PAGE_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  ctx.direction = 'rtl';
+  ctx.textAlign = 'right';
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+
+  // Header
+  ctx.fillStyle = COLORS.brand;
+  ctx.fillRect(0, 0, PAGE_WIDTH, 150);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = `bold 44px ${FONT}`;
+  ctx.fillText('אישור אימות סמיכות רכב לעמדת טעינה', PAGE_WIDTH - MARGIN, 92);
+  ctx.textAlign = 'left';
+  ctx.font = `bold 40px ${FONT}`;
+  ctx.fillText('ADVICE', MARGIN, 92);
+  ctx.textAlign = 'right';
+
+  // Decision
+  const isApproved = result.status === 'approved';
+  ctx.fillStyle = isApproved ? COLORS.approved : COLORS.denied;
+  ctx.fillRect(MARGIN, 200, PAGE_WIDTH - MARGIN * 2, 100);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = `bold 40px ${FONT}`;
+  ctx.fillText(isApproved ? 'סמיכות רכב אושרה' : 'סמיכות רכב נדחתה', PAGE_WIDTH - MARGIN - 30, 265);
+
+  const checkedAt = new Date(result.checkedAt);
+  const rule = result.rule === 'polygon' ? `${GEOFENCE_RULE_LABELS.polygon} (${charger.polygon.length} נקודות)` : `${GEOFENCE_RULE_LABELS.radius} (${radius} מ')`;
+  const rowsBottom = drawRows(ctx, [
+    ['מספר רכב', car.car_number],
+    ['רכב', `${car.brand || ''} ${car.model || ''}`.trim() || '-'],
+    ['מיקום הרכב', formatCoords(position)],
+    ['עמדת טעינה', charger.name],
+    ['כתובת העמדה', charger.address || '-'],
+    ['מיקום העמדה', formatCoords(charger.location_geo)],
+    ['מרחק נמדד', `${result.distance} מ'`],
+    ['רדיוס אימות', `${radius} מ'`],
+    ['מקור הרדיוס', `${RADIUS_SOURCE_LABELS[result.radiusSource]}${result.carGroup ? ` (קבוצת רכב: ${result.carGroup})` : ''}`],
+    ['כלל מכריע', rule],
+    // Every policy rule behind the decision, so a denial inside the radius is explained
+    ...result.rules.map(({ code, passed, detail }) => [POLICY_RULE_LABELS[code], `${RULE_OUTCOME_LABELS[passed]} · ${detail}`]),
+    ...result.reasons.map(({ code, detail }) => [INCONCLUSIVE_REASONS[code], detail]),
+    // Only when /cars/info reported them
+    ...(result.accuracy != null ? [['דיוק מיקום', `±${Math.round(result.accuracy)} מ'`]] : []),
+    ...(result.positionTime ? [['מועד המיקום', new Date(result.positionTime).toLocaleString('he-IL')]] : []),
+    ['מועד הבדיקה', checkedAt.toLocaleString('he-IL')],
+  ], 380);
+
+  // Map snapshot
+  const mapTop = rowsBottom + 30;
+  const mapHeight = Math.min(MAP_HEIGHT, PAGE_HEIGHT - FOOTER_SPACE - mapTop);
+  const carPosition = position;
+  let mapDrawn = false;
+  if (GOOGLE_MAPS_API_KEY) {
+    try {
+      const image = await loadImage(staticMapUrl(carPosition, charger, radius, mapHeight));
+      ctx.drawImage(image, MARGIN, mapTop, MAP_WIDTH, mapHeight);
+      mapDrawn = true;
+    } catch (error) {
+      console.warn('Static map unavailable, drawing schematic instead:', error);
+    }
+  }
+  if (!mapDrawn) drawSchematic(ctx, MARGIN, mapTop, MAP_WIDTH, mapHeight, carPosition, charger, radius);
+  ctx.strokeStyle = '#D1D5DB';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(MARGIN, mapTop, MAP_WIDTH, mapHeight);
+
+  // Footer
+  ctx.direction = 'rtl';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = `22px ${FONT}`;
+  ctx.fillText(`הופק על ידי סימולטור דלקן חכם · ${new Date().toLocaleString('he-IL')}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 60);
+
+  return canvas;
+};
+
+export const downloadProximityCertificate = async (result) => {
+  const canvas = await renderCertificate(result);
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  pdf.setProperties({ title: `Proximity verification ${result.car.car_number}`, creator: 'ADVICE Dalkan Simulator' });
+  pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, 210, 297);
+  const stamp = new Date(result.checkedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  pdf.save(`proximity_${result.car.car_number}_${stamp}.pdf`);
+};
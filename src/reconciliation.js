@@ -0,0 +1,316 @@
+import * as XLSX from 'xlsx';
+import { evaluateGeofence, findNearestCharger } from './geo';
+import { getSessionLocation } from './chargingAudit';
+import { parseApiDateTime, toIsoDate } from './dates';
+import { downloadFile, toCsv } from './download';
+
+// Reconciliation of fuel card transaction files against the charging history. Each transaction
+// (station, car plate, timestamp) is matched to a session of that car and to a registered charger,
+// then marked verified, suspicious or unmatched with { code, detail } reasons.
+
+export const RECONCILIATION_STATUS_LABELS = {
+  verified: 'מאומתת',
+  suspicious: 'חשודה',
+  unmatched: 'ללא התאמה',
+};
+
+export const RECONCILIATION_REASONS = {
+  invalid_row: 'שורה לא תקינה',
+  unknown_car: 'רכב לא קיים בצי',
+  no_session: 'לא נמצאה טעינה תואמת',
+  duplicate: 'טעינה כבר חויבה בעסקה אחרת',
+  unknown_station: 'תחנה לא רשומה',
+  far_from_station: 'הטעינה רחוקה מהתחנה',
+  no_location: 'אין מיקום לטעינה',
+  energy_mismatch: 'אנרגיה שונה מהטעינה',
+  amount_mismatch: 'סכום שונה מהטעינה',
+};
+
+export const RECONCILIATION_THRESHOLDS = {
+  timeToleranceMinutes: 30, // a transaction may be stamped this long before the session starts or after it ends
+  valueTolerance: 0.1,      // kWh and amount may deviate ±10% from the session
+};
+
+// Header names accepted for each column, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  station: ['station', 'station_name', 'charger', 'charger_name', 'location', 'site', 'תחנה', 'שם תחנה', 'עמדה', 'שם עמדה', 'מיקום', 'אתר'],
+  plate: ['plate', 'license_plate', 'car', 'car_number', 'vehicle', 'רכב', 'מספר רכב', 'מס רכב', 'לוחית רישוי', 'רישוי'],
+  timestamp: ['timestamp', 'datetime', 'date', 'transaction_time', 'time', 'תאריך', 'תאריך ושעה', 'מועד', 'מועד עסקה', 'זמן'],
+  kwh: ['kwh', 'total_kw', 'energy', 'קוטש', 'אנרגיה'],
+  amount: ['amount', 'price', 'total_price', 'total', 'סכום', 'עלות', 'מחיר'],
+};
+const REQUIRED_COLUMNS = { station: 'תחנה', plate: 'מספר רכב', timestamp: 'תאריך ושעה' };
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[\s_\-."'׳״]/g, '');
+
+// Plates are written with and without dashes ("12-345-67"); compare digits and letters only
+export const normalizePlate = (value) => String(value ?? '').replace(/[^0-9a-zA-Z]/g, '').toUpperCase();
+
+const normalizeName = (value) => String(value ?? '').toLowerCase().replace(/[\s,."'׳״\-()]/g, '');
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const number = Number(String(value).replace(/[₪,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const toTimestamp = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  return parseApiDateTime(value);
+};
+
+const findColumns = (headerRow) => {
+  const headers = headerRow.map(normalizeHeader);
+  return Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([key, aliases]) => {
+    const index = aliases.map(normalizeHeader).map(alias => headers.indexOf(alias)).find(i => i >= 0);
+    return [key, index ?? -1];
+  }));
+};
+
+// The delimiter used most in the header line: Excel writes ',' or ';' depending on the locale, or tabs
+const detectDelimiter = (text) => {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t'].map(delimiter => [delimiter, headerLine.split(delimiter).length]).sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// RFC 4180 CSV: quoted fields may hold delimiters, line breaks and doubled quotes.
+// All values stay strings, so day-first dates are not reinterpreted.
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) rows.push([...row, field]);
+  return rows;
+};
+
+// Rows of the first sheet of an Excel workbook; date cells arrive as Dates
+const readWorkbookRows = async (file) => {
+  let workbook;
+  try {
+    workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+  } catch (error) {
+    throw new Error('לא ניתן לקרוא את הקובץ. יש להעלות קובץ CSV או XLSX.');
+  }
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }) : [];
+};
+
+// Reads a CSV file, or the first sheet of an XLSX/XLS workbook.
+// Returns [{ row, station, plate, timestamp, kwh, amount }], where `row` is the line in the file.
+export const parseTransactionsFile = async (file) => {
+  const isWorkbook = /\.xlsx?$/i.test(file.name);
+  const [headerRow = [], ...rows] = isWorkbook
+    ? await readWorkbookRows(file)
+    : parseCsv((await file.text()).replace(/^\uFEFF/, ''));
+  const columns = findColumns(headerRow);
+  const missing = Object.keys(REQUIRED_COLUMNS).filter(key => columns[key] < 0);
+  if (missing.length > 0) {
+    throw new Error(`בקובץ חסרות העמודות: ${missing.map(key => REQUIRED_COLUMNS[key]).join(', ')}.`);
+  }
+
+  const cell = (row, key) => (columns[key] >= 0 ? row[columns[key]] : null);
+  const transactions = rows
+    .map((row, i) => ({ row, line: i + 2 }))
+    .filter(({ row }) => row.some(value => value !== ''))
+    .map(({ row, line }) => ({
+      row: line,
+      station: String(cell(row, 'station') ?? '').trim(),
+      plate: String(cell(row, 'plate') ?? '').trim(),
+      timestamp: toTimestamp(cell(row, 'timestamp')),
+      kwh: toNumber(cell(row, 'kwh')),
+      amount: toNumber(cell(row, 'amount')),
+    }));
+  if (transactions.length === 0) throw new Error('הקובץ אינו מכיל עסקאות.');
+  return transactions;
+};
+
+// Days to request history for: the transactions' range, one day wider on each side
+export const getTransactionsDateRange = (transactions) => {
+  const times = transactions.filter(t => t.timestamp).map(t => t.timestamp.getTime());
+  if (times.length === 0) return null;
+  const day = 24 * 60 * 60 * 1000;
+  return { from: toIsoDate(new Date(Math.min(...times) - day)), to: toIsoDate(new Date(Math.max(...times) + day)) };
+};
+
+// The registered charger named by the transaction, else the one nearest to where the car charged
+const findStationCharger = (station, location, chargers) => {
+  const name = normalizeName(station);
+  const byName = name
+    ? chargers.find(charger => normalizeName(charger.name) === name)
+      || chargers.find(charger => normalizeName(charger.name).includes(name) || name.includes(normalizeName(charger.name)))
+    : null;
+  if (byName) return { charger: byName, byName: true };
+  const nearest = location && findNearestCharger(location.lat, location.lng, chargers);
+  return nearest ? { charger: nearest.charger, byName: false } : null;
+};
+
+// The car's session whose time range, widened by the tolerance, contains the transaction;
+// the one starting closest to it when several do
+const findSession = (timestamp, sessions, toleranceMs) => sessions
+  .map((item, index) => ({ item, index, start: parseApiDateTime(item.datetime_start), end: parseApiDateTime(item.datetime_end) }))
+  .filter(s => s.start && timestamp >= s.start - toleranceMs && timestamp <= (s.end || s.start).getTime() + toleranceMs)
+  .sort((a, b) => Math.abs(timestamp - a.start) - Math.abs(timestamp - b.start))[0] || null;
+
+const deviates = (expected, actual, tolerance) => expected != null && Number.isFinite(Number(actual)) && Math.abs(Number(actual) - expected) > Math.abs(expected) * tolerance;
+
+// Reconciles parsed transactions. `sessionsByCar` maps car_number to that car's charging sessions;
+// radiusFor(carNumber, charger) gives the geofence radius, as in the fleet check.
+// Returns one { transaction, status, car, session, charger, distance, reasons } per transaction, in order.
+export const reconcileTransactions = (transactions, { cars, chargers, sessionsByCar, radiusFor, thresholds = RECONCILIATION_THRESHOLDS }) => {
+  const carsByPlate = new Map(cars.map(car => [normalizePlate(car.car_number), car]));
+  const billedSessions = new Map(); // `${car_number}:${session index}` -> row of the transaction that billed it
+  const toleranceMs = thresholds.timeToleranceMinutes * 60000;
+
+  return transactions.map(transaction => {
+    const result = { transaction, status: 'unmatched', car: null, session: null, charger: null, distance: null, reasons: [] };
+    const addReason = (code, detail) => result.reasons.push({ code, detail });
+
+    if (!transaction.plate || !transaction.timestamp) {
+      addReason('invalid_row', !transaction.plate ? 'חסר מספר רכב' : 'תאריך ושעה לא תקינים');
+      return result;
+    }
+    result.car = carsByPlate.get(normalizePlate(transaction.plate)) || null;
+    if (!result.car) {
+      addReason('unknown_car', `הרכב ${transaction.plate} אינו ברשימת הרכבים`);
+      return result;
+    }
+    const match = findSession(transaction.timestamp, sessionsByCar.get(result.car.car_number) || [], toleranceMs);
+    if (!match) {
+      addReason('no_session', `אין טעינה של הרכב בטווח ${thresholds.timeToleranceMinutes} דקות מהעסקה`);
+      return result;
+    }
+
+    result.session = match.item;
+    result.status = 'suspicious';
+    const sessionKey = `${result.car.car_number}:${match.index}`;
+    if (billedSessions.has(sessionKey)) {
+      addReason('duplicate', `הטעינה מ-${match.item.datetime_start} חויבה כבר בשורה ${billedSessions.get(sessionKey)}`);
+    } else {
+      billedSessions.set(sessionKey, transaction.row);
+    }
+
+    const location = getSessionLocation(match.item);
+    const station = findStationCharger(transaction.station, location, chargers);
+    if (station) result.charger = station.charger;
+    if (!station?.byName) addReason('unknown_station', `"${transaction.station || '-'}" אינה עמדה רשומה`);
+
+    const radius = radiusFor(result.car.car_number, result.charger);
+    if (location && result.charger) {
+      const { inside, distance, rule } = evaluateGeofence(location.lat, location.lng, result.charger, radius);
+      result.distance = Math.round(distance);
+      if (!inside) {
+        addReason('far_from_station', `${result.distance} מ' מ${result.charger.name} (${rule === 'polygon' ? 'מחוץ לפוליגון העמדה' : `רדיוס ${radius} מ'`})`);
+      }
+    } else if (match.item.distance != null && match.item.distance !== '' && Number.isFinite(Number(match.item.distance))) {
+      // Without coordinates, fall back to the distance reported by the API
+      result.distance = Number(match.item.distance);
+      if (result.distance > radius) addReason('far_from_station', `${result.distance} מ' מהעמדה (רדיוס ${radius} מ')`);
+    } else {
+      addReason('no_location', 'לא ניתן לאמת את מקום הטעינה');
+    }
+
+    if (deviates(transaction.kwh, match.item.total_kw, thresholds.valueTolerance)) {
+      addReason('energy_mismatch', `${transaction.kwh} קוט"ש בעסקה, ${Number(match.item.total_kw).toFixed(2)} בטעינה`);
+    }
+    if (deviates(transaction.amount, match.item.total_price, thresholds.valueTolerance)) {
+      addReason('amount_mismatch', `₪${transaction.amount} בעסקה, ₪${Number(match.item.total_price).toFixed(2)} בטעינה`);
+    }
+
+    if (result.reasons.length === 0) result.status = 'verified';
+    return result;
+  });
+};
+
+export const summarizeReconciliation = (results) => {
+  const counts = Object.fromEntries(Object.keys(RECONCILIATION_STATUS_LABELS).map(status => [status, 0]));
+  results.forEach(r => { counts[r.status] += 1; });
+  return { total: results.length, ...counts };
+};
+
+// Report export
+
+const HEADERS = ["שורה בקובץ", "סטטוס", "מספר רכב", "תחנה בעסקה", "מועד העסקה", "קוט\"ש בעסקה", "סכום בעסקה", "התחלת טעינה", "סיום טעינה", "קוט\"ש בטעינה", "עלות הטעינה", "עמדה רשומה", "מרחק (מ')", "סיבות"];
+const COLUMN_WIDTHS = [10, 12, 12, 26, 18, 12, 12, 18, 18, 12, 12, 26, 10, 60];
+
+const formatTimestamp = (date) => (date ? date.toLocaleString('he-IL') : '');
+
+const resultRow = ({ transaction, status, session, charger, distance, reasons }) => [
+  transaction.row,
+  RECONCILIATION_STATUS_LABELS[status],
+  transaction.plate,
+  transaction.station,
+  transaction.timestamp,
+  transaction.kwh,
+  transaction.amount,
+  session?.datetime_start ?? '',
+  session?.datetime_end ?? '',
+  session ? Number(session.total_kw) : null,
+  session ? Number(session.total_price) : null,
+  charger?.name ?? '',
+  distance,
+  reasons.map(r => `${RECONCILIATION_REASONS[r.code]}: ${r.detail}`).join('; '),
+];
+
+export const buildReconciliationWorkbook = (results, { fileName }) => {
+  const summary = summarizeReconciliation(results);
+  const summaryRows = [
+    ["קובץ עסקאות", fileName],
+    ["הופק בתאריך", new Date().toLocaleString('he-IL')],
+    [],
+    ["סה\"כ עסקאות", summary.total],
+    ...Object.entries(RECONCILIATION_STATUS_LABELS).map(([status, label]) => [label, summary[status]]),
+  ];
+  const summarySheet = XLSX.utils.aoa_to_sheet(summaryRows);
+  summarySheet['!cols'] = [{ wch: 20 }, { wch: 40 }];
+
+  const buildSheet = (rows) => {
+    const sheet = XLSX.utils.aoa_to_sheet([HEADERS, ...rows.map(resultRow)], { cellDates: true, dateNF: 'dd/mm/yyyy hh:mm' });
+    sheet['!cols'] = COLUMN_WIDTHS.map(wch => ({ wch }));
+    return sheet;
+  };
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'סיכום');
+  XLSX.utils.book_append_sheet(workbook, buildSheet(results), 'כל העסקאות');
+  XLSX.utils.book_append_sheet(workbook, buildSheet(results.filter(r => r.status !== 'verified')), 'לבירור');
+  workbook.Workbook = { Views: [{ RTL: true }] };
+  return workbook;
+};
+
+const reportName = (fileName) => `reconciliation_${fileName.replace(/\.[^.]+$/, '')}`;
+
+export const exportReconciliationToXlsx = (results, options) => {
+  XLSX.writeFile(buildReconciliationWorkbook(results, options), `${reportName(options.fileName)}.xlsx`, { cellDates: true });
+};
+
+export const exportReconciliationToCsv = (results, { fileName }) => {
+  const rows = results.map(result => resultRow(result).map((value, i) => (i === 4 ? formatTimestamp(value) : value)));
+  downloadFile(toCsv(HEADERS, rows), `${reportName(fileName)}.csv`, 'text/csv;charset=utf-8');
+};
@@ -0,0 +1,166 @@
+import * as XLSX from 'xlsx';
+import { DEFAULT_POLICY, normalizePolicy, resolveRadius } from './verificationPolicy';
+import { reconcileTransactions, summarizeReconciliation, normalizePlate, parseCsv, parseTransactionsFile } from './reconciliation';
+
+const chargers = [
+  { id: 'C1', name: 'בית אדוויס', location_geo: { lat: 32.16165, lng: 34.934 }, radius: 50, polygon: null },
+  { id: 'C2', name: 'קניון G', location_geo: { lat: 32.16, lng: 34.93 }, radius: 50, polygon: null },
+];
+const cars = [{ car_number: '1234567' }, { car_number: '7654321' }];
+
+const session = (changes) => ({
+  datetime_start: '05/03/2024 10:00',
+  datetime_end: '05/03/2024 11:00',
+  total_kw: '20',
+  total_price: '30',
+  lat: 32.16165,
+  lng: 34.934,
+  ...changes,
+});
+
+const transaction = (changes) => ({
+  row: 2,
+  station: 'בית אדוויס',
+  plate: '12-345-67',
+  timestamp: new Date(2024, 2, 5, 11, 10),
+  kwh: 20,
+  amount: 30,
+  ...changes,
+});
+
+const reconcile = (transactions, sessions = [session()], { policy = DEFAULT_POLICY, registry = chargers } = {}) => reconcileTransactions(transactions, {
+  cars,
+  chargers: registry,
+  sessionsByCar: new Map([['1234567', sessions]]),
+  radiusFor: (carNumber, charger) => resolveRadius(policy, carNumber, charger).radius,
+});
+
+const codesOf = (result) => result.reasons.map(reason => reason.code);
+
+describe('normalizePlate', () => {
+  test('ignores dashes, spaces and case', () => {
+    expect(normalizePlate('12-345-67')).toBe('1234567');
+    expect(normalizePlate(' ab 12 ')).toBe('AB12');
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and line breaks inside quotes', () => {
+    expect(parseCsv('a,b\n"x, y","say ""hi""\nthere"\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+  });
+
+  test('detects a semicolon delimiter', () => {
+    expect(parseCsv('a;b\r\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseTransactionsFile', () => {
+  // Enough of a File for the parser, which jsdom's File lacks (no text() or arrayBuffer())
+  const fileOf = (name, content) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => content,
+  });
+
+  test('reads a CSV file, keeping day-first dates', async () => {
+    const transactions = await parseTransactionsFile(fileOf('transactions.csv', '\uFEFFתחנה,מספר רכב,תאריך ושעה,סכום\nקניון G,12-345-67,05/03/2024 11:10,"₪1,030"\n,,,\n'));
+    expect(transactions).toEqual([
+      { row: 2, station: 'קניון G', plate: '12-345-67', timestamp: new Date(2024, 2, 5, 11, 10), kwh: null, amount: 1030 },
+    ]);
+  });
+
+  test('reads the first sheet of an XLSX workbook', async () => {
+    const sheet = XLSX.utils.aoa_to_sheet([['station', 'plate', 'timestamp', 'kwh'], ['קניון G', 1234567, new Date(2024, 2, 5, 11, 10), 20]], { cellDates: true });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'עסקאות');
+    const content = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+    const [transaction] = await parseTransactionsFile(fileOf('transactions.xlsx', content));
+    expect(transaction).toMatchObject({ row: 2, station: 'קניון G', plate: '1234567', kwh: 20 });
+    expect(transaction.timestamp).toBeInstanceOf(Date);
+  });
+
+  test('names the missing required columns', async () => {
+    await expect(parseTransactionsFile(fileOf('transactions.csv', 'תחנה,סכום\nקניון G,30\n'))).rejects.toThrow('מספר רכב, תאריך ושעה');
+  });
+});
+
+describe('reconcileTransactions', () => {
+  test('verifies a transaction matching a session at the named station', () => {
+    const [result] = reconcile([transaction()]);
+    expect(result.status).toBe('verified');
+    expect(result.car.car_number).toBe('1234567');
+    expect(result.charger.id).toBe('C1');
+    expect(result.distance).toBe(0);
+  });
+
+  test('accepts a transaction stamped within the tolerance after the session ends', () => {
+    expect(reconcile([transaction({ timestamp: new Date(2024, 2, 5, 11, 25) })])[0].status).toBe('verified');
+  });
+
+  test('leaves rows it cannot read, unknown cars and unmatched times unmatched', () => {
+    const results = reconcile([
+      transaction({ plate: '' }),
+      transaction({ plate: '99-999-99' }),
+      transaction({ timestamp: new Date(2024, 2, 5, 15, 0) }),
+    ]);
+    expect(results.map(r => r.status)).toEqual(['unmatched', 'unmatched', 'unmatched']);
+    expect(results.map(r => codesOf(r)[0])).toEqual(['invalid_row', 'unknown_car', 'no_session']);
+  });
+
+  test('flags a second transaction billing the same session', () => {
+    const results = reconcile([transaction(), transaction({ row: 3 })]);
+    expect(results[0].status).toBe('verified');
+    expect(results[1].status).toBe('suspicious');
+    expect(codesOf(results[1])).toEqual(['duplicate']);
+  });
+
+  test('flags a session far from the station named in the transaction', () => {
+    const [result] = reconcile([transaction({ station: 'קניון G' })]);
+    expect(result.status).toBe('suspicious');
+    expect(codesOf(result)).toEqual(['far_from_station']);
+  });
+
+  test('applies the car group\'s radius from the verification policy', () => {
+    const policy = normalizePolicy({ ...DEFAULT_POLICY, carGroups: [{ id: 'G1', name: 'משאיות', carNumbers: ['1234567'], radius: 2000 }] });
+    expect(reconcile([transaction({ station: 'קניון G' })], undefined, { policy })[0].status).toBe('verified');
+  });
+
+  test('decides by the charger\'s polygon when it has one', () => {
+    // A 100 m square around the session, around 400 m from the charger's centre point
+    const polygon = [
+      { lat: 32.1612, lng: 34.9335 }, { lat: 32.1621, lng: 34.9335 },
+      { lat: 32.1621, lng: 34.9345 }, { lat: 32.1612, lng: 34.9345 },
+    ];
+    const registry = [{ ...chargers[1], polygon }];
+    const [result] = reconcile([transaction({ station: 'קניון G' })], undefined, { registry });
+    expect(result.status).toBe('verified');
+    expect(result.distance).toBeGreaterThan(50);
+  });
+
+  test('falls back to the nearest charger for an unregistered station name', () => {
+    const [result] = reconcile([transaction({ station: 'תחנה אחרת' })]);
+    expect(result.charger.id).toBe('C1');
+    expect(codesOf(result)).toEqual(['unknown_station']);
+  });
+
+  test('flags energy and amount beyond the tolerance', () => {
+    const [result] = reconcile([transaction({ kwh: 30, amount: 45 })]);
+    expect(codesOf(result)).toEqual(['energy_mismatch', 'amount_mismatch']);
+  });
+
+  test('uses the reported distance when the session has no coordinates', () => {
+    const [near] = reconcile([transaction()], [session({ lat: null, lng: null, distance: '20' })]);
+    const [far] = reconcile([transaction()], [session({ lat: null, lng: null, distance: '500' })]);
+    const [unknown] = reconcile([transaction()], [session({ lat: null, lng: null })]);
+    expect(near.status).toBe('verified');
+    expect(codesOf(far)).toEqual(['far_from_station']);
+    expect(codesOf(unknown)).toEqual(['no_location']);
+  });
+});
+
+describe('summarizeReconciliation', () => {
+  test('counts results by status', () => {
+    const results = reconcile([transaction(), transaction({ row: 3 }), transaction({ plate: '' })]);
+    expect(summarizeReconciliation(results)).toEqual({ total: 3, verified: 1, suspicious: 1, unmatched: 1 });
+  });
+});
@@ -0,0 +1,10 @@
+// Registers public/service-worker.js, which keeps the app shell available offline.
+// Production builds only: in development it would serve stale bundles over the dev server.
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
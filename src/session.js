@@ -0,0 +1,41 @@
+// Dispatcher session. Each dispatcher logs in with their own API token, which is kept in
+// sessionStorage: it lasts as long as the browser tab and is never built into the bundle.
+
+const STORAGE_KEY = 'dalkan.session';
+
+const expiredListeners = new Set();
+
+// Returns { name, token, loggedInAt } or null when nobody is logged in
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return session?.token ? session : null;
+  } catch (error) {
+    console.warn('Failed to read session, logging out:', error);
+    return null;
+  }
+};
+
+export const getToken = () => loadSession()?.token || null;
+
+export const saveSession = ({ name, token }) => {
+  const session = { name: name.trim(), token: token.trim(), loggedInAt: new Date().toISOString() };
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const clearSession = () => {
+  sessionStorage.removeItem(STORAGE_KEY);
+};
+
+// Called by the API client when the server rejects the session's token
+export const expireSession = () => {
+  clearSession();
+  expiredListeners.forEach(listener => listener());
+};
+
+// Subscribes to session expiry; returns the unsubscribe function
+export const onSessionExpired = (listener) => {
+  expiredListeners.add(listener);
+  return () => expiredListeners.delete(listener);
+};
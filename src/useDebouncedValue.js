@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+// `value`, but only once it has stopped changing for `delayMs`
+export default function useDebouncedValue(value, delayMs) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const id = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(id);
+  }, [value, delayMs]);
+
+  return debounced;
+}
@@ -0,0 +1,41 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Calls `callback` every `intervalMs` while `enabled`, pausing while the browser tab is hidden.
+// A poll is skipped if the previous one (when it returns a promise) has not settled yet.
+// Returns true while polling is enabled but paused because the tab is hidden.
+export default function usePolling(callback, intervalMs, enabled) {
+  const savedCallback = useRef(callback);
+  const inFlight = useRef(false);
+  const [isHidden, setIsHidden] = useState(document.hidden);
+
+  useEffect(() => {
+    savedCallback.current = callback;
+  });
+
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsHidden(document.hidden);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || isHidden) return;
+
+    const tick = async () => {
+      if (inFlight.current) return;
+      inFlight.current = true;
+      try {
+        await savedCallback.current();
+      } finally {
+        inFlight.current = false;
+      }
+    };
+
+    // Poll right away when starting or when the tab becomes visible again
+    tick();
+    const id = setInterval(tick, intervalMs);
+    return () => clearInterval(id);
+  }, [enabled, isHidden, intervalMs]);
+
+  return enabled && isHidden;
+}
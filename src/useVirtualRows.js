@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// Windowing for long tables: only the rows in and just around the scroll container's viewport
+// are rendered, and spacer rows stand in for the rest. Row heights start at `estimatedHeight`
+// and are corrected as rows are measured, so rows of different heights are fine.
+// `keys` identifies the rows in display order; measured heights follow a row when the order changes.
+export default function useVirtualRows(keys, { containerRef, estimatedHeight = 53, overscan = 10 }) {
+  const [heights, setHeights] = useState(() => new Map()); // row key -> measured height
+  const heightsRef = useRef(heights);
+  heightsRef.current = heights;
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const update = () => setViewport({ scrollTop: container.scrollTop, height: container.clientHeight });
+    update();
+    container.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      container.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [containerRef]);
+
+  // offsets[i] is the top of row i; offsets[keys.length] is the total height
+  const offsets = useMemo(() => {
+    const result = [0];
+    keys.forEach((key, i) => result.push(result[i] + (heights.get(key) ?? estimatedHeight)));
+    return result;
+  }, [keys, estimatedHeight, heights]);
+
+  // First row whose bottom is below `top`
+  const rowAt = (top) => {
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle + 1] <= top) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+
+  const start = Math.max(0, rowAt(viewport.scrollTop) - overscan);
+  const end = Math.min(keys.length, rowAt(viewport.scrollTop + (viewport.height || estimatedHeight * 20)) + 1 + overscan);
+
+  // Ref callback for a rendered row
+  const measureRow = useCallback((key) => (element) => {
+    if (!element) return;
+    const height = element.getBoundingClientRect().height;
+    if (height > 0 && Math.abs((heightsRef.current.get(key) ?? 0) - height) > 0.5) {
+      heightsRef.current = new Map(heightsRef.current).set(key, height);
+      setHeights(heightsRef.current);
+    }
+  }, []);
+
+  // Scrolls just enough to bring the row at `position` into view, below a sticky header of `headerHeight`
+  const scrollToRow = useCallback((position, headerHeight = 0) => {
+    const container = containerRef.current;
+    if (!container || position < 0 || position >= keys.length) return;
+    const top = offsets[position];
+    const bottom = offsets[position + 1];
+    if (top < container.scrollTop) {
+      container.scrollTop = top;
+    } else if (bottom + headerHeight > container.scrollTop + container.clientHeight) {
+      container.scrollTop = bottom + headerHeight - container.clientHeight;
+    }
+  }, [containerRef, keys.length, offsets]);
+
+  return {
+    start,
+    end,
+    paddingTop: offsets[start],
+    paddingBottom: offsets[keys.length] - offsets[end],
+    measureRow,
+    scrollToRow,
+  };
+}
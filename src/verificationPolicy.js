@@ -0,0 +1,247 @@
+import { DEFAULT_RADIUS, MIN_RADIUS, MAX_RADIUS } from './chargerStore';
+import { assessProximity, DEFAULT_POSITION_THRESHOLDS } from './positionFix';
+
+// Verification policy: the rules a proximity check must pass beyond the geofence itself.
+// Radii stay on the chargers (chargerStore); the policy adds car-group radius overrides,
+// per-charger time-of-day windows and a minimum dwell time. Stored locally and exchanged
+// between sites as JSON.
+
+const STORAGE_KEY = 'dalkan.verificationPolicy';
+
+export const DEFAULT_POLICY = {
+  name: '',
+  minDwellMinutes: 0, // 0 disables the rule
+  chargers: {},       // charger id -> { timeWindows: [{ days: [0-6], from: 'HH:mm', to: 'HH:mm' }], minDwellMinutes }
+  carGroups: [],      // [{ id, name, carNumbers: [], radius, minDwellMinutes }]; null fields fall through
+};
+
+export const POLICY_RULE_LABELS = {
+  geofence: 'מיקום בגדר העמדה',
+  time_window: 'שעות פעילות העמדה',
+  min_dwell: 'זמן שהייה מינימלי',
+};
+
+export const RADIUS_SOURCE_LABELS = {
+  manual: 'הוגדר ידנית',
+  car_group: 'לפי קבוצת רכב',
+  charger: 'לפי העמדה',
+  default: 'ברירת מחדל',
+};
+
+// Sunday first, as in the Israeli work week
+export const WEEKDAY_LABELS = ['א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ש'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const createCarGroupId = () => `G${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 5).toUpperCase()}`;
+
+const toMinutesOfDay = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Empty values mean "not set" and fall through to the next level
+const normalizeOptionalNumber = (value, { min, max = Infinity }, message) => {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) throw new Error(message);
+  return number;
+};
+
+const normalizeTimeWindow = (raw, chargerName) => {
+  const from = String(raw?.from || '').trim();
+  const to = String(raw?.to || '').trim();
+  if (!TIME_PATTERN.test(from) || !TIME_PATTERN.test(to)) throw new Error(`שעה לא תקינה בחלון הפעילות של "${chargerName}" (HH:mm).`);
+  if (from === to) throw new Error(`חלון הפעילות של "${chargerName}" מתחיל ומסתיים באותה שעה.`);
+  const days = Array.isArray(raw.days) ? [...new Set(raw.days.map(Number))].sort() : ALL_DAYS;
+  if (days.length === 0 || days.some(day => !ALL_DAYS.includes(day))) throw new Error(`ימי הפעילות של "${chargerName}" אינם תקינים.`);
+  return { days, from, to };
+};
+
+const normalizeChargerRule = (raw, chargerName) => ({
+  timeWindows: (Array.isArray(raw?.timeWindows) ? raw.timeWindows : []).map(w => normalizeTimeWindow(w, chargerName)),
+  minDwellMinutes: normalizeOptionalNumber(raw?.minDwellMinutes, { min: 0 }, `זמן שהייה לא תקין בעמדה "${chargerName}".`),
+});
+
+const normalizeCarGroup = (raw) => {
+  const name = String(raw?.name || '').trim();
+  if (!name) throw new Error('לכל קבוצת רכבים חייב להיות שם.');
+  const carNumbers = Array.isArray(raw.carNumbers) ? raw.carNumbers : String(raw.carNumbers || '').split(/[\s,;]+/);
+  return {
+    id: raw.id ? String(raw.id) : createCarGroupId(),
+    name,
+    carNumbers: [...new Set(carNumbers.map(n => String(n).trim()).filter(Boolean))],
+    radius: normalizeOptionalNumber(raw.radius, { min: MIN_RADIUS, max: MAX_RADIUS }, `רדיוס לא תקין בקבוצה "${name}" (${MIN_RADIUS}-${MAX_RADIUS} מ').`),
+    minDwellMinutes: normalizeOptionalNumber(raw.minDwellMinutes, { min: 0 }, `זמן שהייה לא תקין בקבוצה "${name}".`),
+  };
+};
+
+// Validates a policy and returns a normalized copy.
+// Throws an Error with a user-facing (Hebrew) message when it is invalid.
+export const normalizePolicy = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('מדיניות האימות אינה תקינה.');
+
+  const chargers = {};
+  Object.entries(raw.chargers || {}).forEach(([id, rule]) => {
+    chargers[id] = normalizeChargerRule(rule, rule?.name || id);
+  });
+
+  const carGroups = (Array.isArray(raw.carGroups) ? raw.carGroups : []).map(normalizeCarGroup);
+  const seen = new Map();
+  carGroups.forEach(group => group.carNumbers.forEach(carNumber => {
+    if (seen.has(carNumber)) throw new Error(`הרכב ${carNumber} משויך גם לקבוצה "${seen.get(carNumber)}" וגם לקבוצה "${group.name}".`);
+    seen.set(carNumber, group.name);
+  }));
+
+  return {
+    name: String(raw.name || '').trim(),
+    minDwellMinutes: normalizeOptionalNumber(raw.minDwellMinutes, { min: 0 }, 'זמן השהייה המינימלי אינו תקין.') ?? 0,
+    chargers,
+    carGroups,
+  };
+};
+
+export const loadPolicy = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizePolicy(JSON.parse(stored)) : DEFAULT_POLICY;
+  } catch (error) {
+    console.warn('Failed to load the verification policy, using defaults:', error);
+    return DEFAULT_POLICY;
+  }
+};
+
+export const savePolicy = (policy) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(policy));
+  } catch (error) {
+    console.error('Error saving the verification policy to storage:', error);
+  }
+};
+
+// The exported file carries each charger's radius and name alongside its rules, so a site's
+// policy is complete on its own. Chargers are matched by id on import.
+export const policyToJson = (policy, chargers) => JSON.stringify({
+  ...policy,
+  chargers: Object.fromEntries(chargers.map(charger => [charger.id, {
+    name: charger.name,
+    radius: charger.radius,
+    ...normalizeChargerRule(policy.chargers[charger.id], charger.name),
+  }])),
+}, null, 2);
+
+// Parses an exported policy file. Returns { policy, radii } where radii maps charger id to radius.
+export const parsePolicyJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('הקובץ אינו קובץ JSON תקין.');
+  }
+  const policy = normalizePolicy(parsed);
+  const radii = {};
+  Object.entries(parsed.chargers || {}).forEach(([id, rule]) => {
+    const radius = normalizeOptionalNumber(rule?.radius, { min: MIN_RADIUS, max: MAX_RADIUS }, `רדיוס לא תקין בעמדה "${rule?.name || id}" (${MIN_RADIUS}-${MAX_RADIUS} מ').`);
+    if (radius != null) radii[id] = radius;
+  });
+  return { policy, radii };
+};
+
+export const findCarGroup = (policy, carNumber) =>
+  (carNumber && policy.carGroups.find(group => group.carNumbers.includes(carNumber))) || null;
+
+// A car group's override wins over the charger's own radius
+export const resolveRadius = (policy, carNumber, charger) => {
+  const group = findCarGroup(policy, carNumber);
+  if (group?.radius != null) return { radius: group.radius, source: 'car_group', group };
+  if (charger?.radius) return { radius: charger.radius, source: 'charger', group };
+  return { radius: DEFAULT_RADIUS, source: 'default', group };
+};
+
+export const resolveMinDwell = (policy, carNumber, chargerId) =>
+  findCarGroup(policy, carNumber)?.minDwellMinutes ?? policy.chargers[chargerId]?.minDwellMinutes ?? policy.minDwellMinutes;
+
+// Windows run from `from` up to `to` on the listed days; a window ending before it starts runs
+// past midnight, and its early-morning part belongs to the previous day's listing.
+export const isWithinTimeWindows = (windows, date) => {
+  if (!windows || windows.length === 0) return true;
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return windows.some(({ days, from, to }) => {
+    const start = toMinutesOfDay(from);
+    const end = toMinutesOfDay(to);
+    if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+    return (days.includes(day) && minutes >= start) || (days.includes((day + 6) % 7) && minutes < end);
+  });
+};
+
+export const describeTimeWindow = ({ days, from, to }) => {
+  const dayText = days.length === 7 ? 'כל יום' : days.map(day => WEEKDAY_LABELS[day]).join(',');
+  return `${dayText} ${from}-${to}`;
+};
+
+// When the car last entered the charger's geofence according to the transitions log, or null
+// if it was last seen leaving it or no entry was ever observed (e.g. it was already inside
+// when first seen).
+export const getDwellStart = (events, carNumber, chargerId) => {
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.car_number !== carNumber || event.charger_id !== chargerId) continue;
+    return event.type === 'entered' ? new Date(event.timestamp) : null;
+  }
+  return null;
+};
+
+// Runs every rule of the policy for a car's reported position. Each rule is
+// { code, passed, detail } where passed is null when the position can't decide it.
+// The outcome is 'denied' if any rule failed, 'inconclusive' if any could not be decided,
+// and 'approved' otherwise.
+export const evaluatePolicy = ({ carInfo, charger, policy, radius, radiusSource, thresholds = DEFAULT_POSITION_THRESHOLDS, events = [], now = new Date() }) => {
+  const proximity = assessProximity(carInfo, charger, radius, thresholds, now.getTime());
+  const isUncertain = proximity.status === 'inconclusive';
+  const group = findCarGroup(policy, carInfo.car_number);
+  const rules = [];
+
+  rules.push({
+    code: 'geofence',
+    passed: isUncertain ? null : proximity.inside,
+    detail: proximity.rule === 'polygon'
+      ? `${Math.round(proximity.distance)} מ' מהמטען, בדיקה מול פוליגון העמדה`
+      : `${Math.round(proximity.distance)} מ' מהמטען, רדיוס ${radius} מ' (${RADIUS_SOURCE_LABELS[radiusSource]}${radiusSource === 'car_group' ? `: ${group.name}` : ''})`,
+  });
+
+  const timeWindows = policy.chargers[charger.id]?.timeWindows || [];
+  if (timeWindows.length > 0) {
+    rules.push({
+      code: 'time_window',
+      passed: isWithinTimeWindows(timeWindows, now),
+      detail: `${now.toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' })} · מותר: ${timeWindows.map(describeTimeWindow).join('; ')}`,
+    });
+  }
+
+  const minDwell = resolveMinDwell(policy, carInfo.car_number, charger.id);
+  if (minDwell > 0) {
+    const dwellStart = proximity.inside ? getDwellStart(events, carInfo.car_number, charger.id) : null;
+    const dwellMinutes = dwellStart ? Math.floor((now - dwellStart) / 60000) : null;
+    let passed = dwellMinutes != null && dwellMinutes >= minDwell;
+    let detail = `${dwellMinutes} דקות בעמדה (נדרש: ${minDwell})`;
+    if (isUncertain) {
+      passed = null;
+      detail = `לא ניתן לקבוע ללא מיקום אמין (נדרש: ${minDwell} דקות)`;
+    } else if (!proximity.inside) {
+      detail = `הרכב אינו בעמדה (נדרש: ${minDwell} דקות)`;
+    } else if (!dwellStart) {
+      // Usually a car already parked there when first seen: how long it has been there is unknown
+      passed = null;
+      detail = `זמן השהייה אינו ידוע - לא נצפתה כניסת הרכב לעמדה (נדרש: ${minDwell} דקות)`;
+    }
+    rules.push({ code: 'min_dwell', passed, detail });
+  }
+
+  const status = rules.some(rule => rule.passed === false) ? 'denied'
+    : rules.some(rule => rule.passed === null) ? 'inconclusive'
+    : 'approved';
+
+  return { ...proximity, status, radius, radiusSource, carGroup: group?.name || null, rules };
+};
@@ -0,0 +1,137 @@
+import { DEFAULT_POLICY, evaluatePolicy, isWithinTimeWindows, normalizePolicy, resolveRadius, getDwellStart } from './verificationPolicy';
+
+const charger = { id: 'C1', name: 'עמדה', location_geo: { lat: 32, lng: 34.8 }, radius: 80, polygon: null };
+const carAt = (metresNorth) => ({ car_number: '1234567', lat: 32 + metresNorth / 111195, lng: 34.8 });
+
+// 2024-05-05 is a Sunday
+const at = (day, hours, minutes = 0) => new Date(2024, 4, 5 + day, hours, minutes);
+
+const enteredAt = (date) => ({ car_number: '1234567', charger_id: 'C1', type: 'entered', timestamp: date.toISOString() });
+
+const policyWith = (changes) => normalizePolicy({ ...DEFAULT_POLICY, ...changes });
+
+const ruleOf = (result, code) => result.rules.find(rule => rule.code === code);
+
+describe('isWithinTimeWindows', () => {
+  const daytime = [{ days: [0, 1, 2, 3, 4], from: '08:00', to: '18:00' }];
+  const overnight = [{ days: [4], from: '22:00', to: '06:00' }]; // Thursday night into Friday
+
+  test('allows any time when no windows are set', () => {
+    expect(isWithinTimeWindows([], at(6, 3))).toBe(true);
+  });
+
+  test('includes the start and excludes the end of a same-day window', () => {
+    expect(isWithinTimeWindows(daytime, at(1, 8))).toBe(true);
+    expect(isWithinTimeWindows(daytime, at(1, 17, 59))).toBe(true);
+    expect(isWithinTimeWindows(daytime, at(1, 18))).toBe(false);
+    expect(isWithinTimeWindows(daytime, at(5, 12))).toBe(false);
+  });
+
+  test('carries a window past midnight into the next day', () => {
+    expect(isWithinTimeWindows(overnight, at(4, 23))).toBe(true);
+    expect(isWithinTimeWindows(overnight, at(5, 2))).toBe(true);
+    expect(isWithinTimeWindows(overnight, at(5, 6))).toBe(false);
+    expect(isWithinTimeWindows(overnight, at(4, 21, 59))).toBe(false);
+  });
+
+  test('does not open an overnight window on the morning of a listed day', () => {
+    expect(isWithinTimeWindows(overnight, at(4, 2))).toBe(false);
+  });
+
+  test('wraps Saturday night into Sunday morning', () => {
+    expect(isWithinTimeWindows([{ days: [6], from: '20:00', to: '04:00' }], at(7, 1))).toBe(true);
+  });
+});
+
+describe('resolveRadius', () => {
+  test('prefers the car group, then the charger, then the default', () => {
+    const policy = policyWith({ carGroups: [{ id: 'G1', name: 'משאיות', carNumbers: ['1234567'], radius: 200 }] });
+    expect(resolveRadius(policy, '1234567', charger)).toMatchObject({ radius: 200, source: 'car_group' });
+    expect(resolveRadius(policy, '7654321', charger)).toMatchObject({ radius: 80, source: 'charger' });
+    expect(resolveRadius(policy, '7654321', { ...charger, radius: null }).source).toBe('default');
+  });
+});
+
+describe('getDwellStart', () => {
+  test('returns the last entry unless the car has left since', () => {
+    const entered = enteredAt(at(1, 9));
+    expect(getDwellStart([entered], '1234567', 'C1')).toEqual(at(1, 9));
+    expect(getDwellStart([entered, { ...entered, type: 'exited' }], '1234567', 'C1')).toBeNull();
+    expect(getDwellStart([entered], '1234567', 'C2')).toBeNull();
+  });
+});
+
+describe('evaluatePolicy', () => {
+  const evaluate = (changes) => evaluatePolicy({
+    carInfo: carAt(20),
+    charger,
+    policy: DEFAULT_POLICY,
+    radius: 80,
+    radiusSource: 'charger',
+    now: at(1, 12),
+    ...changes,
+  });
+
+  test('approves a car inside the geofence when the policy adds no rules', () => {
+    const result = evaluate();
+    expect(result.status).toBe('approved');
+    expect(result.rules).toEqual([expect.objectContaining({ code: 'geofence', passed: true })]);
+  });
+
+  test('denies a car outside the geofence', () => {
+    expect(evaluate({ carInfo: carAt(300) }).status).toBe('denied');
+  });
+
+  test('is inconclusive when the position cannot decide the geofence', () => {
+    const result = evaluate({ carInfo: { ...carAt(75), accuracy: 20 } });
+    expect(result.status).toBe('inconclusive');
+    expect(ruleOf(result, 'geofence').passed).toBeNull();
+  });
+
+  test('denies a check outside the charger\'s time windows', () => {
+    const policy = policyWith({ chargers: { C1: { timeWindows: [{ days: [1], from: '08:00', to: '10:00' }] } } });
+    const result = evaluate({ policy });
+    expect(result.status).toBe('denied');
+    expect(ruleOf(result, 'time_window').passed).toBe(false);
+  });
+
+  test('approves a check inside an overnight window after midnight', () => {
+    const policy = policyWith({ chargers: { C1: { timeWindows: [{ days: [1], from: '22:00', to: '06:00' }] } } });
+    expect(evaluate({ policy, now: at(2, 3) }).status).toBe('approved');
+  });
+
+  describe('minimum dwell', () => {
+    const policy = policyWith({ minDwellMinutes: 30 });
+
+    test('approves once the car has stayed long enough', () => {
+      const result = evaluate({ policy, events: [enteredAt(at(1, 11, 15))] });
+      expect(result.status).toBe('approved');
+      expect(ruleOf(result, 'min_dwell').passed).toBe(true);
+    });
+
+    test('denies a car that arrived too recently', () => {
+      const result = evaluate({ policy, events: [enteredAt(at(1, 11, 50))] });
+      expect(result.status).toBe('denied');
+      expect(ruleOf(result, 'min_dwell').passed).toBe(false);
+    });
+
+    test('is inconclusive when the car was never seen entering', () => {
+      const result = evaluate({ policy });
+      expect(result.status).toBe('inconclusive');
+      expect(ruleOf(result, 'min_dwell').passed).toBeNull();
+    });
+
+    test('fails with the geofence for a car that is not at the charger', () => {
+      const result = evaluate({ policy, carInfo: carAt(300) });
+      expect(result.status).toBe('denied');
+      expect(ruleOf(result, 'min_dwell').passed).toBe(false);
+    });
+
+    test('uses the car group\'s dwell time over the policy default', () => {
+      const grouped = policyWith({ minDwellMinutes: 30, carGroups: [{ id: 'G1', name: 'מהירים', carNumbers: ['1234567'], minDwellMinutes: 5 }] });
+      const result = evaluate({ policy: grouped, events: [enteredAt(at(1, 11, 50))] });
+      expect(result.status).toBe('approved');
+      expect(result.carGroup).toBe('מהירים');
+    });
+  });
+});